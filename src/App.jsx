@@ -1,67 +1,251 @@
 import React, { useState, useRef, useEffect } from 'react';
-// import Mirror from "./MirrorCurveDesigner";
+import MirrorCurveDesigner from "./MirrorCurveDesigner";
 // import Mirror from "./AsymmetricMirrorCurveDesigner";
-// import Mirror from "./AsymmetricMirrorBezier";
-import Mirror from "./HybridMirrorBezier";
+import AsymmetricMirrorBezier from "./AsymmetricMirrorBezier";
+import HybridMirrorBezier from "./HybridMirrorBezier";
 import './App.css';
 import FunhouseMirrorWebcam from './FunhouseMirrorWebcam';
 import Button from './components/Button';
+import DesignLibrary from './components/DesignLibrary';
+import MirrorFileControls from './components/MirrorFileControls';
+import ShareLinkButton from './components/ShareLinkButton';
+import PhotoCapture from './components/PhotoCapture';
+import VideoRecorder from './components/VideoRecorder';
+import HistoryControls from './components/HistoryControls';
+import CameraSettingsPanel from './components/CameraSettingsPanel';
+import CameraStatus from './components/CameraStatus';
+import MediaSourcePicker from './components/MediaSourcePicker';
+import MediaPlaybackControls from './components/MediaPlaybackControls';
+import InfinityTunnelControls from './components/InfinityTunnelControls';
+import MirrorMaterialPanel from './components/MirrorMaterialPanel';
+import { useCameraDevices } from './hooks/useCameraDevices';
+import { useCameraPermission } from './hooks/useCameraPermission';
+import {
+  loadCameraSettings,
+  saveCameraSettings,
+  buildVideoConstraints,
+  getAspectRatio
+} from './cameraSettings.js';
+import { CAMERA_STATUS, describeCameraError } from './cameraStatus.js';
+import { classifyMediaFile } from './mediaSource.js';
+import { loadMirrorMaterial, saveMirrorMaterial } from './mirrorMaterial.js';
+import { useMirrorCurve } from './contexts/MirrorCurveContext';
+import { DEFAULT_DESIGNER_TYPE } from './designers.js';
 
-export default function App() {
+// Designer component for each entry in DESIGNER_TYPES
+const DESIGNER_COMPONENTS = {
+  hybrid: HybridMirrorBezier,
+  symmetric: MirrorCurveDesigner,
+  asymmetric: AsymmetricMirrorBezier
+};
+
+// What the designer's preview offers while it has no frames to show
+const PREVIEW_CAMERA_LABELS = {
+  [CAMERA_STATUS.IDLE]: 'Start Camera',
+  [CAMERA_STATUS.STARTING]: 'Starting camera…',
+  [CAMERA_STATUS.PAUSED]: 'Camera paused',
+  [CAMERA_STATUS.RECONNECTING]: 'Reconnecting…',
+  [CAMERA_STATUS.ERROR]: 'Try Again'
+};
+
+// When the camera track ends on its own, retry a few times before giving up
+const MAX_CAMERA_RECOVERY_ATTEMPTS = 3;
+const CAMERA_RECOVERY_DELAY_MS = 1500;
+
+export default function App({ initialView = null }) {
   const [isDay, setIsDay] = useState(false);
   const [mirrorCurve, setMirrorCurve] = useState(null);
   const [isDone, setIsDone] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  // A shared link can ask for the webcam view; wait for the designer to
+  // produce the curve data first, then switch.
+  const openViewerOnCurveRef = useRef(initialView?.isDone || false);
+  const { designerType } = useMirrorCurve();
+  const Mirror = DESIGNER_COMPONENTS[designerType] || DESIGNER_COMPONENTS[DEFAULT_DESIGNER_TYPE];
+  // Which cross-section the designer edits: 'y' (vertical, the chosen
+  // designer) or 'x' (horizontal, always the hybrid designer)
+  const [editingProfile, setEditingProfile] = useState('y');
   
   // Camera & viewport control state (lifted up)
   const videoRef = useRef(null);
-  const [isActive, setIsActive] = useState(false);
-  const [rotation, setRotation] = useState(0);
-  const [useRayTracing, setUseRayTracing] = useState(true);
+  const outputCanvasRef = useRef(null); // Canvas of whichever viewport is active
+  const [cameraStatus, setCameraStatus] = useState(CAMERA_STATUS.IDLE);
+  const [cameraError, setCameraError] = useState(null);
+  // Image/video file mirrored instead of the webcam: { type, url, name, ready, aspectRatio }
+  const imageRef = useRef(null);
+  const [mediaSource, setMediaSource] = useState(null);
+  const [mediaError, setMediaError] = useState(null);
+  const isActive = mediaSource ? mediaSource.ready : cameraStatus === CAMERA_STATUS.LIVE;
+  const cameraSessionRef = useRef(0); // bumped on start and stop so late streams are discarded
+  const recoveryTimerRef = useRef(null);
+  const [rotation, setRotation] = useState(initialView?.rotation || 0);
+  const [useRayTracing, setUseRayTracing] = useState(initialView?.useRayTracing ?? true);
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings);
+  const [showCameraSettings, setShowCameraSettings] = useState(false);
+  const [mirrorMaterial, setMirrorMaterial] = useState(loadMirrorMaterial);
+  const [showMaterialPanel, setShowMaterialPanel] = useState(false);
+  // Undistorted feed beside the mirror, for before/after comparison
+  const [showCompare, setShowCompare] = useState(false);
+  // Move the ray traced mirror to suit the face in front of it
+  const [faceTracking, setFaceTracking] = useState(false);
+  // Small live mirror in the corner of the designer; shares the viewer's camera
+  const [showPreview, setShowPreview] = useState(true);
+  const cameraRunning = cameraStatus !== CAMERA_STATUS.IDLE && cameraStatus !== CAMERA_STATUS.ERROR;
+  const { devices: cameraDevices, refresh: refreshCameraDevices } = useCameraDevices();
+  const cameraPermission = useCameraPermission();
 
   const handleCurveChange = (curveData) => {
     console.log('App received curve data:', curveData);
     setMirrorCurve(curveData);
+    if (openViewerOnCurveRef.current) {
+      openViewerOnCurveRef.current = false;
+      setIsDone(true);
+    }
   };
 
-  const startCamera = async () => {
+  const openCameraStream = async (settings) => {
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { width: 640, height: 480 } 
+      return await navigator.mediaDevices.getUserMedia({
+        video: buildVideoConstraints(settings)
+      });
+    } catch (err) {
+      // The remembered camera may have been unplugged; fall back to the default one
+      if (settings.deviceId && (err.name === 'OverconstrainedError' || err.name === 'NotFoundError')) {
+        console.warn('Saved camera unavailable, using default camera:', err);
+        return navigator.mediaDevices.getUserMedia({
+          video: buildVideoConstraints(settings, false)
+        });
+      }
+      throw err;
+    }
+  };
+
+  const scheduleCameraRecovery = (settings, attempt) => {
+    setCameraStatus(CAMERA_STATUS.RECONNECTING);
+    clearTimeout(recoveryTimerRef.current);
+    recoveryTimerRef.current = setTimeout(() => startCamera(settings, attempt), CAMERA_RECOVERY_DELAY_MS);
+  };
+
+  const releaseStream = () => {
+    const stream = videoRef.current?.srcObject;
+    if (stream) {
+      stream.getTracks().forEach(track => {
+        track.onended = track.onmute = track.onunmute = null;
+        track.stop();
       });
-      
+      videoRef.current.srcObject = null;
+    }
+  };
+
+  const startCamera = async (settings = cameraSettings, recoveryAttempt = 0) => {
+    // A new start supersedes any earlier one: its stream is released now, or
+    // discarded on arrival if it is still waiting for permission
+    const session = ++cameraSessionRef.current;
+    clearTimeout(recoveryTimerRef.current);
+    releaseStream();
+    setCameraStatus(recoveryAttempt > 0 ? CAMERA_STATUS.RECONNECTING : CAMERA_STATUS.STARTING);
+    setCameraError(null);
+
+    const fail = (err) => {
+      if (session !== cameraSessionRef.current) return;
+      console.error('Camera error:', err);
+      if (recoveryAttempt > 0 && recoveryAttempt < MAX_CAMERA_RECOVERY_ATTEMPTS) {
+        scheduleCameraRecovery(settings, recoveryAttempt + 1);
+        return;
+      }
+      setCameraError(describeCameraError(err));
+      setCameraStatus(CAMERA_STATUS.ERROR);
+    };
+
+    try {
+      const stream = await openCameraStream(settings);
+      if (session !== cameraSessionRef.current) {
+        // Camera was stopped while we waited for permission
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      // Device labels are only available once permission has been granted
+      refreshCameraDevices();
+
+      const [track] = stream.getVideoTracks();
+      if (track) {
+        track.onmute = () => setCameraStatus(CAMERA_STATUS.PAUSED);
+        track.onunmute = () => setCameraStatus(CAMERA_STATUS.LIVE);
+        // Fires when the device goes away (unplugged, permission revoked), not on our own stop()
+        track.onended = () => {
+          console.warn('Camera track ended, reconnecting');
+          releaseStream();
+          scheduleCameraRecovery(settings, 1);
+        };
+      }
+
       if (videoRef.current) {
         videoRef.current.srcObject = stream;
         videoRef.current.onloadedmetadata = () => {
           videoRef.current.play().then(() => {
-            setIsActive(true);
-          });
+            if (session === cameraSessionRef.current) {
+              setCameraStatus(track?.muted ? CAMERA_STATUS.PAUSED : CAMERA_STATUS.LIVE);
+            }
+          }).catch(fail);
         };
       }
     } catch (err) {
-      console.error('Camera error:', err);
-      let errorMessage = 'Camera error: ';
-      
-      if (err.name === 'NotFoundError' || err.name === 'DevicesNotFoundError') {
-        errorMessage += 'No camera found. Please connect a camera and try again.';
-      } else if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
-        errorMessage += 'Camera access denied. Please allow camera permissions in your browser settings.';
-      } else if (err.name === 'NotReadableError' || err.name === 'TrackStartError') {
-        errorMessage += 'Camera is already in use by another application. Please close other apps using the camera.';
-      } else {
-        errorMessage += err.message;
-      }
-      
-      alert(errorMessage);
+      fail(err);
     }
   };
 
   const stopCamera = () => {
-    const stream = videoRef.current?.srcObject;
-    if (stream) {
-      stream.getTracks().forEach(track => track.stop());
-      videoRef.current.srcObject = null;
+    cameraSessionRef.current++;
+    clearTimeout(recoveryTimerRef.current);
+    releaseStream();
+    setCameraStatus(CAMERA_STATUS.IDLE);
+    setCameraError(null);
+  };
+
+  const retryCamera = () => {
+    stopCamera();
+    startCamera();
+  };
+
+  const handleCameraSettingsChange = (next) => {
+    setCameraSettings(next);
+    saveCameraSettings(next);
+    if (cameraStatus !== CAMERA_STATUS.IDLE) {
+      stopCamera();
+      startCamera(next);
     }
-    setIsActive(false);
+  };
+
+  const handleMaterialChange = (next) => {
+    setMirrorMaterial(next);
+    saveMirrorMaterial(next);
+  };
+
+  const handlePickMediaFile = (file) => {
+    const type = classifyMediaFile(file);
+    if (!type) {
+      setMediaError(`"${file.name}" isn't a PNG, JPEG or video file.`);
+      return;
+    }
+    stopCamera();
+    setMediaError(null);
+    setShowCameraSettings(false);
+    setMediaSource({ type, url: URL.createObjectURL(file), name: file.name, ready: false, aspectRatio: null });
+  };
+
+  const handleMediaReady = (aspectRatio) => {
+    setMediaSource(prev => prev && { ...prev, ready: true, aspectRatio });
+  };
+
+  const handleUseCamera = () => {
+    setMediaSource(null);
+    startCamera();
+  };
+
+  const handleMediaDrop = (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files?.[0];
+    if (file) handlePickMediaFile(file);
   };
 
   const rotateDistortion = () => {
@@ -72,21 +256,57 @@ export default function App() {
     setUseRayTracing(prev => !prev);
   };
 
+  // The camera keeps running so the designer's preview can carry on with it
   const handleBackToDesigner = () => {
-    stopCamera();
+    if (!showPreview) stopCamera();
     setUseRayTracing(true);
     setRotation(0);
     setIsDone(false);
   };
 
-  // Auto-start camera when isDone is true
+  const togglePreview = () => {
+    if (!mediaSource) {
+      if (showPreview) {
+        stopCamera();
+      } else {
+        startCamera();
+      }
+    }
+    setShowPreview(!showPreview);
+  };
+
+  // Auto-start camera when isDone is true, unless the preview already did
   useEffect(() => {
-    if (isDone && !isActive) {
+    if (isDone && !cameraRunning && !mediaSource) {
       startCamera();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isDone]);
 
+  // Free the previous file once it's replaced or dropped
+  const mediaUrl = mediaSource?.url;
+  useEffect(() => {
+    if (!mediaUrl) return;
+    return () => URL.revokeObjectURL(mediaUrl);
+  }, [mediaUrl]);
+
+  // Start the designer's preview on its own only once the camera is allowed,
+  // so opening the page doesn't throw up a permission prompt
+  useEffect(() => {
+    if (!isDone && showPreview && !mediaSource && cameraPermission === 'granted' && cameraStatus === CAMERA_STATUS.IDLE) {
+      startCamera();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cameraPermission]);
+
+  // Try again as soon as the user unblocks the camera in site settings
+  useEffect(() => {
+    if (cameraPermission === 'granted' && cameraError?.kind === 'denied') {
+      retryCamera();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cameraPermission]);
+
   return (
     <div className="relative min-h-screen overflow-hidden text-white">
 
@@ -442,11 +662,49 @@ export default function App() {
           </p>
         </div>
 
-        <div className="w-[720px] aspect-video bg-white rounded-3xl shadow-2xl border-8 border-red-500">
+        <div
+          className="w-[720px] aspect-video bg-white rounded-3xl shadow-2xl border-8 border-red-500"
+          onDragOver={isDone ? (e) => e.preventDefault() : undefined}
+          onDrop={isDone ? handleMediaDrop : undefined}
+        >
           <div className="w-full h-full bg-black rounded-2xl flex items-center justify-center text-white relative">
-            {!isDone ? (
+            {!isDone && (
               <>
-                <Mirror onCurveChange={handleCurveChange}/>
+                {editingProfile === 'y' ? (
+                  <Mirror key="y" onCurveChange={handleCurveChange}/>
+                ) : (
+                  <HybridMirrorBezier key={editingProfile} profile={editingProfile} />
+                )}
+                <div className="absolute bottom-4 left-4 z-30 flex gap-1 p-1 rounded-lg bg-black/30" role="group" aria-label="Profile to edit">
+                  {[['y', 'Vertical'], ['x', 'Horizontal'], ['back', 'Back Mirror']].map(([axis, label]) => (
+                    <Button
+                      key={axis}
+                      onClick={() => setEditingProfile(axis)}
+                      variant={editingProfile === axis ? 'primary' : 'ghost'}
+                      className="px-3! py-1.5! text-sm!"
+                      aria-pressed={editingProfile === axis}
+                    >
+                      {label}
+                    </Button>
+                  ))}
+                </div>
+                <div className="absolute top-4 left-4 z-30 flex gap-2">
+                  <Button onClick={() => setShowLibrary(true)} variant="ghost" className="px-3! py-1.5! text-sm!">
+                    Library
+                  </Button>
+                  <MirrorFileControls curveData={mirrorCurve} />
+                  <ShareLinkButton view={{ isDone, useRayTracing, rotation }} className="px-3! py-1.5! text-sm!" />
+                  <Button onClick={togglePreview} variant="ghost" className="px-3! py-1.5! text-sm!">
+                    {showPreview ? 'Hide Preview' : 'Show Preview'}
+                  </Button>
+                </div>
+                <HistoryControls className="absolute top-4 right-4 z-30" />
+                {showLibrary && (
+                  <DesignLibrary
+                    curveData={mirrorCurve}
+                    onClose={() => setShowLibrary(false)}
+                  />
+                )}
                 <Button
                   onClick={() => setIsDone(true)}
                   className="absolute bottom-4 right-4 bg-green-500! hover:bg-green-600! z-30"
@@ -455,18 +713,66 @@ export default function App() {
                   Done
                 </Button>
               </>
-            ) : (
+            )}
+            {/* One mirror for both screens, so the camera and renderer carry on
+                between them: full size in the viewer, picture-in-picture in the designer */}
+            <div
+              className={isDone
+                ? 'w-full h-full'
+                : showPreview
+                  ? 'absolute right-4 bottom-20 z-20 w-48 rounded-lg overflow-hidden border-2 border-white/60 shadow-lg bg-black'
+                  : 'hidden'}
+              style={isDone ? undefined : { aspectRatio: mediaSource?.aspectRatio || getAspectRatio(cameraSettings) }}
+            >
               <FunhouseMirrorWebcam
                 videoRef={videoRef}
+                imageRef={imageRef}
+                mediaSource={mediaSource}
+                onMediaReady={handleMediaReady}
                 curveData={mirrorCurve}
                 rotation={rotation}
+                material={mirrorMaterial}
                 isActive={isActive}
-                useRayTracing={useRayTracing}
+                useRayTracing={isDone ? useRayTracing : true}
+                showCompare={isDone && showCompare}
+                faceTracking={isDone && faceTracking}
+                preview={!isDone}
+                outputCanvasRef={outputCanvasRef}
+                aspectRatio={mediaSource?.aspectRatio || getAspectRatio(cameraSettings)}
+              />
+              {!isDone && (
+                <span className="absolute top-1 left-2 text-xs text-white/80 pointer-events-none">Live Preview</span>
+              )}
+              {!isDone && !mediaSource && !isActive && (
+                <div className="absolute inset-0 flex items-center justify-center bg-black/80 p-2">
+                  <Button
+                    onClick={retryCamera}
+                    disabled={cameraRunning}
+                    variant="ghost"
+                    className="px-3! py-1.5! text-xs!"
+                  >
+                    {PREVIEW_CAMERA_LABELS[cameraStatus]}
+                  </Button>
+                </div>
+              )}
+            </div>
+            {isDone && !mediaSource && (
+              <CameraStatus
+                status={cameraStatus}
+                error={cameraError}
+                permission={cameraPermission}
+                onRetry={retryCamera}
               />
             )}
           </div>
         </div>
         
+        {isDone && mediaSource?.type === 'video' && (
+          <MediaPlaybackControls videoRef={videoRef} sourceKey={mediaSource.url} />
+        )}
+
+        {isDone && useRayTracing && <InfinityTunnelControls />}
+
         {/* All control buttons in one row below the box */}
         {isDone && (
           <div className="flex gap-3 flex-wrap justify-center">
@@ -477,15 +783,13 @@ export default function App() {
             >
               ← Back to Designer
             </Button>
-            {!useRayTracing && (
-              <Button 
-                onClick={rotateDistortion} 
-                disabled={!mirrorCurve}
-                variant="primary"
-              >
-                Rotate Effect 90°
-              </Button>
-            )}
+            <Button 
+              onClick={rotateDistortion} 
+              disabled={!mirrorCurve}
+              variant="primary"
+            >
+              Rotate Effect 90°
+            </Button>
             <Button 
               onClick={toggleRayTracing} 
               disabled={!isActive}
@@ -494,8 +798,74 @@ export default function App() {
             >
               {useRayTracing ? 'Classic Mode' : 'Ray Traced'}
             </Button>
+            <ShareLinkButton view={{ isDone, useRayTracing, rotation }} variant="primary" />
+            <PhotoCapture canvasRef={outputCanvasRef} disabled={!isActive} />
+            <VideoRecorder canvasRef={outputCanvasRef} sourceKey={useRayTracing} disabled={!isActive} />
+            <MediaSourcePicker
+              mediaSource={mediaSource}
+              onPickFile={handlePickMediaFile}
+              onUseCamera={handleUseCamera}
+            />
+            <Button
+              onClick={() => setShowCompare(prev => !prev)}
+              disabled={!isActive}
+              variant="ghost"
+            >
+              {showCompare ? 'Hide Before/After' : 'Before/After'}
+            </Button>
+            {useRayTracing && (
+              <Button
+                onClick={() => setFaceTracking(prev => !prev)}
+                variant="ghost"
+              >
+                {faceTracking ? 'Stop Face Tracking' : 'Face Tracking'}
+              </Button>
+            )}
+            {useRayTracing && (
+              <Button
+                onClick={() => setShowMaterialPanel(prev => !prev)}
+                variant="ghost"
+              >
+                Material
+              </Button>
+            )}
+            {!mediaSource && (
+              <Button
+                onClick={() => setShowCameraSettings(prev => !prev)}
+                variant="ghost"
+              >
+                Camera Settings
+              </Button>
+            )}
+          </div>
+        )}
+
+        {isDone && mediaError && (
+          <div
+            role="alert"
+            className="max-w-md px-3 py-2 rounded-lg bg-red-600/90 text-sm text-white cursor-pointer"
+            onClick={() => setMediaError(null)}
+          >
+            {mediaError}
           </div>
         )}
+
+        {isDone && useRayTracing && showMaterialPanel && (
+          <MirrorMaterialPanel
+            material={mirrorMaterial}
+            onChange={handleMaterialChange}
+            onClose={() => setShowMaterialPanel(false)}
+          />
+        )}
+
+        {isDone && showCameraSettings && (
+          <CameraSettingsPanel
+            devices={cameraDevices}
+            settings={cameraSettings}
+            onChange={handleCameraSettingsChange}
+            onClose={() => setShowCameraSettings(false)}
+          />
+        )}
       </div>
     </div>
   );
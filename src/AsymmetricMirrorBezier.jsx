@@ -1,5 +1,6 @@
 import React, { useRef, useState, useEffect } from 'react';
 import { useMirrorCurve } from './contexts/MirrorCurveContext';
+import { useCurvePointerInput, getPointerHitRadius } from './hooks/useCurvePointerInput';
 
 /**
  * Convert user pass-through points to smooth quadratic Bezier curves with C1 continuity
@@ -123,7 +124,7 @@ function evaluateQuadraticBezier(bezier, t) {
 
 export default function AsymmetricMirrorBezier({ onCurveChange }) {
   const canvasRef = useRef(null);
-  const { points, setPoints, nextIdRef } = useMirrorCurve();
+  const { points, setPoints, nextIdRef, beginHistoryGroup, endHistoryGroup, cancelHistoryGroup } = useMirrorCurve();
   const [draggingPointId, setDraggingPointId] = useState(null);
 
   const WIDTH = 800;
@@ -375,7 +376,7 @@ export default function AsymmetricMirrorBezier({ onCurveChange }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [points]);
 
-  const handleClick = (e) => {
+  const handleTap = (e) => {
     if (points.length >= MAX_POINTS) return;
     
     const { x, y } = getCanvasCoordinates(e);
@@ -398,18 +399,21 @@ export default function AsymmetricMirrorBezier({ onCurveChange }) {
     setPoints([...points, newPoint].sort((a, b) => a.y - b.y));
   };
 
-  const handleMouseDown = (e) => {
+  // Returns true if the press grabbed a point (starting a drag)
+  const handlePointerPress = (e) => {
     const { x, y } = getCanvasCoordinates(e);
+    const hitRadius = getPointerHitRadius(e);
     
-    const point = points.find(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < 12);
+    const point = points.find(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < hitRadius);
     if (point) {
-      e.preventDefault();
-      e.stopPropagation();
+      beginHistoryGroup();
       setDraggingPointId(point.id);
+      return true;
     }
+    return false;
   };
 
-  const handleMouseMove = (e) => {
+  const handlePointerDrag = (e) => {
     if (draggingPointId === null) return;
     
     const { x: rawX, y: rawY } = getCanvasCoordinates(e);
@@ -444,19 +448,36 @@ export default function AsymmetricMirrorBezier({ onCurveChange }) {
     }
   };
 
-  const handleMouseUp = () => {
+  const handlePointerRelease = () => {
+    endHistoryGroup();
     setDraggingPointId(null);
   };
 
-  const handleRightClick = (e) => {
-    e.preventDefault();
+  // Second finger down mid-drag: put the point back where it started
+  const handleDragCancel = () => {
+    cancelHistoryGroup();
+    setDraggingPointId(null);
+  };
+
+  // Right-click, or long-press on touch/pen
+  const handleDeletePoint = (e) => {
     const { x, y } = getCanvasCoordinates(e);
-    const point = points.find(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < 12);
+    const hitRadius = getPointerHitRadius(e);
+    const point = points.find(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < hitRadius);
     if (point) {
       setPoints(points.filter(p => p.id !== point.id));
     }
   };
 
+  const pointerHandlers = useCurvePointerInput({
+    onTap: handleTap,
+    onPress: handlePointerPress,
+    onDrag: handlePointerDrag,
+    onRelease: handlePointerRelease,
+    onCancel: handleDragCancel,
+    onDelete: handleDeletePoint
+  });
+
   return (
     <div className="w-full h-full flex items-center justify-center relative overflow-hidden rounded-2xl" style={{
       background: 'linear-gradient(135deg, #e2e8f0 0%, #cbd5e1 50%, #94a3b8 100%)'
@@ -494,13 +515,8 @@ export default function AsymmetricMirrorBezier({ onCurveChange }) {
         ref={canvasRef}
         width={WIDTH}
         height={HEIGHT}
-        className="relative z-10 w-full h-full object-contain cursor-crosshair"
-        onClick={handleClick}
-        onMouseDown={handleMouseDown}
-        onMouseMove={handleMouseMove}
-        onMouseUp={handleMouseUp}
-        onMouseLeave={handleMouseUp}
-        onContextMenu={handleRightClick}
+        className="relative z-10 w-full h-full object-contain cursor-crosshair touch-none"
+        {...pointerHandlers}
       />
     </div>
   );
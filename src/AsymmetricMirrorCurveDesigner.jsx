@@ -4,7 +4,7 @@ import { useMirrorCurve } from './contexts/MirrorCurveContext';
 
 export default function AsymmetricMirrorCurveDesigner({ onCurveChange }) {
   const canvasRef = useRef(null);
-  const { points, setPoints, nextIdRef } = useMirrorCurve();
+  const { points, setPoints, nextIdRef, beginHistoryGroup, endHistoryGroup } = useMirrorCurve();
   const [draggingPointId, setDraggingPointId] = useState(null);
 
   const WIDTH = 800;
@@ -242,6 +242,7 @@ export default function AsymmetricMirrorCurveDesigner({ onCurveChange }) {
     if (point) {
       e.preventDefault();
       e.stopPropagation();
+      beginHistoryGroup();
       setDraggingPointId(point.id);
     }
   };
@@ -282,6 +283,7 @@ export default function AsymmetricMirrorCurveDesigner({ onCurveChange }) {
   };
 
   const handleMouseUp = () => {
+    endHistoryGroup();
     setDraggingPointId(null);
   };
 
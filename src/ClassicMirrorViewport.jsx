@@ -1,120 +1,34 @@
-import { useRef, useEffect, useCallback } from 'react';
+import { useRef, useEffect } from 'react';
+import { getSourceSize, isSourceReady } from './mediaSource.js';
+import { createDisplacementMap, applyDisplacementMap } from './displacementMap.js';
 
-export default function ClassicMirrorViewport({ videoRef, curveData, rotation, isActive }) {
-  const canvasRef = useRef(null);
+// The distortion runs in classicMirrorWorker.js where the browser can draw
+// off the main thread; otherwise it runs here, between animation frames
+const canUseWorker = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap === 'function';
+
+export default function ClassicMirrorViewport({ videoRef, curveData, rotation, bilinear = false, isActive, outputCanvasRef, frameStats }) {
+  const localCanvasRef = useRef(null);
+  const canvasRef = outputCanvasRef || localCanvasRef;
   const animationIdRef = useRef(null);
+  const workerRef = useRef(null);
+  // Set once the worker turns out not to work in this browser
+  const workerFailedRef = useRef(false);
 
-  const applyDistortion = useCallback((ctx, video, curve, rot) => {
-    const w = video.videoWidth;
-    const h = video.videoHeight;
-    
-    ctx.save();
-    ctx.scale(-1, 1);
-    ctx.drawImage(video, -w, 0, w, h);
-    ctx.restore();
-    const imageData = ctx.getImageData(0, 0, w, h);
-    const outputData = ctx.createImageData(w, h);
-    
-    const bounds = curve.bounds;
-    const yRange = bounds.yBottom - bounds.yTop;
-    const xRange = bounds.x;
-    
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        let sourceX = x;
-        let sourceY = y;
-        
-        if (rot === 0) {
-          const curveY = bounds.yTop + (y / h) * yRange;
-          let curveX = bounds.x;
-          
-          for (const seg of curve.lineSegments) {
-            const minY = Math.min(seg.y1, seg.y2);
-            const maxY = Math.max(seg.y1, seg.y2);
-            
-            if (curveY >= minY && curveY <= maxY) {
-              const t = (curveY - seg.y1) / (seg.y2 - seg.y1 || 1);
-              curveX = seg.x1 + t * (seg.x2 - seg.x1);
-              break;
-            }
-          }
-          
-          const offset = (bounds.x - curveX) / xRange;
-          const disp = offset * w * 0.5;
-          sourceX = Math.floor(x - disp);
-          
-        } else if (rot === 90) {
-          const curveY = bounds.yTop + (x / w) * yRange;
-          let curveX = bounds.x;
-          
-          for (const seg of curve.lineSegments) {
-            const minY = Math.min(seg.y1, seg.y2);
-            const maxY = Math.max(seg.y1, seg.y2);
-            
-            if (curveY >= minY && curveY <= maxY) {
-              const t = (curveY - seg.y1) / (seg.y2 - seg.y1 || 1);
-              curveX = seg.x1 + t * (seg.x2 - seg.x1);
-              break;
-            }
-          }
-          
-          const offset = (bounds.x - curveX) / xRange;
-          const disp = offset * h * 0.5;
-          sourceY = Math.floor(y - disp);
-          
-        } else if (rot === 180) {
-          const curveY = bounds.yTop + ((h - y) / h) * yRange;
-          let curveX = bounds.x;
-          
-          for (const seg of curve.lineSegments) {
-            const minY = Math.min(seg.y1, seg.y2);
-            const maxY = Math.max(seg.y1, seg.y2);
-            
-            if (curveY >= minY && curveY <= maxY) {
-              const t = (curveY - seg.y1) / (seg.y2 - seg.y1 || 1);
-              curveX = seg.x1 + t * (seg.x2 - seg.x1);
-              break;
-            }
-          }
-          
-          const offset = (bounds.x - curveX) / xRange;
-          const disp = offset * w * 0.5;
-          sourceX = Math.floor(x + disp);
-          
-        } else if (rot === 270) {
-          const curveY = bounds.yTop + ((w - x) / w) * yRange;
-          let curveX = bounds.x;
-          
-          for (const seg of curve.lineSegments) {
-            const minY = Math.min(seg.y1, seg.y2);
-            const maxY = Math.max(seg.y1, seg.y2);
-            
-            if (curveY >= minY && curveY <= maxY) {
-              const t = (curveY - seg.y1) / (seg.y2 - seg.y1 || 1);
-              curveX = seg.x1 + t * (seg.x2 - seg.x1);
-              break;
-            }
-          }
-          
-          const offset = (bounds.x - curveX) / xRange;
-          const disp = offset * h * 0.5;
-          sourceY = Math.floor(y + disp);
-        }
-        
-        if (sourceX >= 0 && sourceX < w && sourceY >= 0 && sourceY < h) {
-          const sourceIdx = (sourceY * w + sourceX) * 4;
-          const targetIdx = (y * w + x) * 4;
-          
-          outputData.data[targetIdx] = imageData.data[sourceIdx];
-          outputData.data[targetIdx + 1] = imageData.data[sourceIdx + 1];
-          outputData.data[targetIdx + 2] = imageData.data[sourceIdx + 2];
-          outputData.data[targetIdx + 3] = imageData.data[sourceIdx + 3];
-        }
-      }
-    }
-    
-    ctx.putImageData(outputData, 0, 0);
-  }, []);
+  // One worker for as long as the mirror runs, so curve edits don't restart it
+  useEffect(() => {
+    if (!isActive || workerFailedRef.current || !canUseWorker()) return;
+
+    const worker = new Worker(new URL('./classicMirrorWorker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, [isActive]);
 
   useEffect(() => {
     if (!isActive) {
@@ -127,51 +41,159 @@ export default function ClassicMirrorViewport({ videoRef, curveData, rotation, i
 
     const video = videoRef.current;
     const canvas = canvasRef.current;
-    
+
     if (!video || !canvas) return;
 
-    const ctx = canvas.getContext('2d');
-    
-    const render = () => {
-      if (!isActive || !video || video.readyState < video.HAVE_CURRENT_DATA) {
+    let worker = workerRef.current;
+    const ctx = canvas.getContext('2d', { willReadFrequently: !worker });
+    const hasCurve = curveData && curveData.lineSegments && curveData.lineSegments.length > 0;
+    let cancelled = false;
+    // Backpressure: at most one frame with the worker; newer ones are dropped
+    let framePending = false;
+
+    // Setting the size clears the canvas, so only do it when it changes
+    const fitCanvas = (width, height) => {
+      if (canvas.width !== width) canvas.width = width;
+      if (canvas.height !== height) canvas.height = height;
+    };
+
+    // Main-thread fallback; rebuilt only when the frame size changes, the
+    // curve, rotation and sampling mode restart this effect
+    let displacementMap = null;
+    let outputData = null;
+
+    const applyDistortion = (width, height) => {
+      ctx.save();
+      ctx.scale(-1, 1);
+      ctx.drawImage(video, -width, 0, width, height);
+      ctx.restore();
+      const imageData = ctx.getImageData(0, 0, width, height);
+
+      if (displacementMap?.width !== width || displacementMap.height !== height) {
+        displacementMap = createDisplacementMap(curveData, rotation, width, height, bilinear);
+        outputData = ctx.createImageData(width, height);
+      }
+
+      applyDisplacementMap(
+        displacementMap,
+        new Uint32Array(imageData.data.buffer),
+        new Uint32Array(outputData.data.buffer)
+      );
+      ctx.putImageData(outputData, 0, 0);
+    };
+
+    const stopUsingWorker = (reason) => {
+      console.warn('[ClassicMirrorViewport] Distorting on the main thread instead of a worker:', reason);
+      workerFailedRef.current = true;
+      worker.terminate();
+      workerRef.current = null;
+      worker = null;
+      framePending = false;
+    };
+
+    const handleWorkerMessage = ({ data }) => {
+      if (data.type === 'frame') {
+        framePending = false;
+        const drawStart = performance.now();
+        fitCanvas(data.bitmap.width, data.bitmap.height);
+        ctx.drawImage(data.bitmap, 0, 0);
+        data.bitmap.close();
+        // Worker time plus drawing here, so the HUD's CPU figure compares
+        // with the main-thread fallback's
+        frameStats?.record(performance.now(), data.workMs + performance.now() - drawStart);
+      } else if (data.type === 'skipped') {
+        framePending = false;
+      } else if (data.type === 'unsupported') {
+        stopUsingWorker(data.reason);
+      }
+    };
+
+    const handleWorkerError = (e) => {
+      e.preventDefault();
+      stopUsingWorker(e.message || 'worker failed to load');
+    };
+
+    if (worker) {
+      worker.addEventListener('message', handleWorkerMessage);
+      worker.addEventListener('error', handleWorkerError);
+      if (hasCurve) {
+        worker.postMessage({
+          type: 'configure',
+          curve: { bounds: curveData.bounds, lineSegments: curveData.lineSegments },
+          rotation,
+          bilinear
+        });
+      }
+    }
+
+    const sendFrameToWorker = () => {
+      if (framePending) return;
+      framePending = true;
+      const target = worker;
+      createImageBitmap(video)
+        .then(bitmap => {
+          if (cancelled || target !== worker) {
+            bitmap.close();
+            framePending = false;
+            return;
+          }
+          worker.postMessage({ type: 'frame', bitmap }, [bitmap]);
+        })
+        .catch(err => {
+          console.warn('[ClassicMirrorViewport] Could not grab a frame:', err);
+          framePending = false;
+        });
+    };
+
+    const render = (timestamp) => {
+      if (!isActive || !isSourceReady(video)) {
         animationIdRef.current = requestAnimationFrame(render);
         return;
       }
 
-      if (video.videoWidth > 0 && video.videoHeight > 0) {
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
-        
-        const hasCurve = curveData && curveData.lineSegments && curveData.lineSegments.length > 0;
-        
+      const frameStart = performance.now();
+      const { width, height } = getSourceSize(video);
+      if (width > 0 && height > 0) {
         if (!hasCurve) {
+          fitCanvas(width, height);
           ctx.save();
           ctx.scale(-1, 1);
           ctx.drawImage(video, -canvas.width, 0, canvas.width, canvas.height);
           ctx.restore();
+        } else if (worker) {
+          // Recorded when the distorted frame comes back
+          sendFrameToWorker();
+          animationIdRef.current = requestAnimationFrame(render);
+          return;
         } else {
-          applyDistortion(ctx, video, curveData, rotation);
+          fitCanvas(width, height);
+          applyDistortion(width, height);
         }
       }
-      
+
+      frameStats?.record(timestamp, performance.now() - frameStart);
       animationIdRef.current = requestAnimationFrame(render);
     };
-    
-    render();
-    
+
+    animationIdRef.current = requestAnimationFrame(render);
+
     return () => {
+      cancelled = true;
       if (animationIdRef.current) {
         cancelAnimationFrame(animationIdRef.current);
         animationIdRef.current = null;
       }
+      worker?.removeEventListener('message', handleWorkerMessage);
+      worker?.removeEventListener('error', handleWorkerError);
+      frameStats?.reset();
     };
-  }, [isActive, curveData, rotation, applyDistortion, videoRef]);
+  }, [isActive, curveData, rotation, bilinear, videoRef, canvasRef, frameStats]);
 
   return (
-    <canvas 
-      ref={canvasRef} 
-      width="640" 
-      height="480" 
+    <canvas
+      ref={canvasRef}
+      width="640"
+      height="480"
       className="w-full h-auto max-h-full object-contain rounded-lg"
     />
   );
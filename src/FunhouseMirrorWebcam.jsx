@@ -1,20 +1,76 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import MirrorViewport from './MirrorViewport';
 
-export default function FunhouseMirrorWebcam({ videoRef, curveData, rotation, isActive, useRayTracing }) {
+/**
+ * @param {Object|null} mediaSource - { type: 'image'|'video', url } to mirror a
+ *   file instead of the webcam stream in videoRef
+ * @param {Function} onMediaReady - called with the file's aspect ratio once it can be drawn
+ * @param {boolean} preview - shown as the designer's small live preview
+ */
+export default function FunhouseMirrorWebcam({ videoRef, imageRef, mediaSource, onMediaReady, curveData, rotation, material, isActive, useRayTracing, showCompare, faceTracking, preview, outputCanvasRef, aspectRatio }) {
+  const videoFileUrl = mediaSource?.type === 'video' ? mediaSource.url : null;
+
+  // Play a video file through the same hidden <video> the webcam uses
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !videoFileUrl) return;
+
+    video.srcObject = null;
+    video.src = videoFileUrl;
+    video.play().catch(err => console.warn('[FunhouseMirrorWebcam] Video file autoplay failed:', err));
+
+    return () => {
+      video.pause();
+      video.removeAttribute('src');
+      video.load();
+    };
+  }, [videoRef, videoFileUrl]);
+
+  const handleVideoLoaded = (e) => {
+    if (!videoFileUrl) return;
+    onMediaReady?.(e.currentTarget.videoWidth / e.currentTarget.videoHeight);
+  };
+
+  const handleImageLoaded = (e) => {
+    onMediaReady?.(e.currentTarget.naturalWidth / e.currentTarget.naturalHeight);
+  };
+
   return (
     <div className="w-full h-full flex flex-col items-center justify-center">
-      {/* Hidden video element for camera feed */}
-      <video ref={videoRef} autoPlay playsInline muted style={{display: 'none'}} />
+      {/* Hidden video element for camera feed (or video file) */}
+      <video
+        ref={videoRef}
+        autoPlay
+        playsInline
+        muted
+        loop={!!videoFileUrl}
+        onLoadedData={handleVideoLoaded}
+        style={{display: 'none'}}
+      />
+      {mediaSource?.type === 'image' && (
+        <img
+          ref={imageRef}
+          src={mediaSource.url}
+          alt=""
+          onLoad={handleImageLoaded}
+          style={{display: 'none'}}
+        />
+      )}
       
       {/* Mirror Viewport */}
       <MirrorViewport
-        videoRef={videoRef}
+        videoRef={mediaSource?.type === 'image' ? imageRef : videoRef}
         curveData={curveData}
         rotation={rotation}
+        material={material}
         isActive={isActive}
         useRayTracing={useRayTracing}
+        showCompare={showCompare}
+        faceTracking={faceTracking}
+        preview={preview}
+        outputCanvasRef={outputCanvasRef}
+        aspectRatio={aspectRatio}
       />
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,17 +1,38 @@
 import React, { useRef, useState, useEffect } from 'react';
-import { splineToQuadraticBezier } from './splineToQuadraticBezier.js';
+import { hybridQuadraticBeziers } from './hybridProfile.js';
 import Button from './components/Button';
 import { useMirrorCurve } from './contexts/MirrorCurveContext';
+import { useCurvePointerInput, getPointerHitRadius } from './hooks/useCurvePointerInput';
 
 /**
  * Hybrid Bezier Designer
  * - First click: Direct bezier calculation (control point positioned so curve passes through at t=0.5)
  * - Second+ clicks: Anchor points with spline interpolation and bezier conversion
+ *
+ * profile="x" edits the mirror's horizontal profile (xPoints) instead of the
+ * vertical one; the top of the line is then the mirror's left edge.
+ * profile="back" edits the vertical profile of the infinity tunnel's second
+ * mirror (backPoints), which faces the first one from behind the viewer.
  */
-export default function HybridMirrorBezier({ onCurveChange }) {
+
+const PROFILES = {
+  y: { pointsKey: 'points', setterKey: 'setPoints', label: 'Vertical mirror' },
+  x: { pointsKey: 'xPoints', setterKey: 'setXPoints', label: 'Horizontal mirror' },
+  back: { pointsKey: 'backPoints', setterKey: 'setBackPoints', label: 'Back mirror' }
+};
+
+export default function HybridMirrorBezier({ onCurveChange, profile = 'y' }) {
   const canvasRef = useRef(null);
-  const { points, setPoints, nextIdRef } = useMirrorCurve();
+  const curve = useMirrorCurve();
+  const { nextIdRef, beginHistoryGroup, endHistoryGroup, cancelHistoryGroup } = curve;
+  const { pointsKey, setterKey, label: profileLabel } = PROFILES[profile] || PROFILES.y;
+  const points = curve[pointsKey];
+  const setPoints = curve[setterKey];
   const [draggingPointId, setDraggingPointId] = useState(null);
+  // Keyboard editing: the point Tab has selected, and what to announce about it
+  const [focusedPointId, setFocusedPointId] = useState(null);
+  const [canvasFocused, setCanvasFocused] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
 
   const WIDTH = 800;
   const HEIGHT = 600;
@@ -26,6 +47,9 @@ export default function HybridMirrorBezier({ onCurveChange }) {
   const MAX_LEFT_DISTANCE = 200;
   const MAX_RIGHT_DISTANCE = 200;
 
+  const NUDGE_STEP = 1;
+  const NUDGE_STEP_LARGE = 10;
+
   // Helper function to get scaled coordinates
   const getCanvasCoordinates = (e) => {
     const canvas = canvasRef.current;
@@ -179,6 +203,15 @@ export default function HybridMirrorBezier({ onCurveChange }) {
 
     // Draw user points (blue)
     points.forEach((p) => {
+      // Keyboard focus ring
+      if (canvasFocused && p.id === focusedPointId) {
+        ctx.strokeStyle = '#facc15';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 16, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+
       const gradient = ctx.createRadialGradient(p.x - 3, p.y - 3, 2, p.x, p.y, 10);
       gradient.addColorStop(0, '#dbeafe');
       gradient.addColorStop(0.5, '#60a5fa');
@@ -199,7 +232,7 @@ export default function HybridMirrorBezier({ onCurveChange }) {
   };
 
   const exportData = () => {
-    let quadraticBeziers = [];
+    const quadraticBeziers = hybridQuadraticBeziers(points, { x: LINE_X, yTop: LINE_TOP, yBottom: LINE_BOTTOM });
     const samples = [];
     
     if (points.length === 0) {
@@ -214,12 +247,6 @@ export default function HybridMirrorBezier({ onCurveChange }) {
       const cpx = 2 * userPt.x - 0.5 * (LINE_X + LINE_X);
       const cpy = 2 * userPt.y - 0.5 * (LINE_TOP + LINE_BOTTOM);
       
-      quadraticBeziers = [{
-        start: { x: LINE_X, y: LINE_TOP },
-        cp: { x: cpx, y: cpy },
-        end: { x: LINE_X, y: LINE_BOTTOM }
-      }];
-      
       // Sample the bezier
       for (let i = 0; i <= 30; i++) {
         const t = i / 30;
@@ -236,9 +263,6 @@ export default function HybridMirrorBezier({ onCurveChange }) {
         { x: LINE_X, y: LINE_BOTTOM }
       ];
       
-      // Convert spline to quadratic beziers
-      quadraticBeziers = splineToQuadraticBezier(anchorPoints, 1.0);
-      
       // Sample the spline
       for (let i = 0; i <= 30; i++) {
         const t = i / 30;
@@ -268,11 +292,56 @@ export default function HybridMirrorBezier({ onCurveChange }) {
 
   useEffect(() => {
     draw();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [points, focusedPointId, canvasFocused]);
+
+  useEffect(() => {
     exportData();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [points]);
 
-  const handleClick = (e) => {
+  // Clamp a position into the area a control point may occupy
+  const constrainPosition = (rawX, rawY) => {
+    let x = rawX;
+    let y = rawY;
+    
+    // Clamp to canvas bounds
+    x = Math.max(LINE_X - MAX_LEFT_DISTANCE, Math.min(LINE_X + MAX_RIGHT_DISTANCE, x));
+    y = Math.max(LINE_TOP, Math.min(LINE_BOTTOM, y));
+    
+    // Enforce minimum distance from vertical line
+    if (Math.abs(x - LINE_X) < MIN_DISTANCE_FROM_VERTICAL) {
+      x = x < LINE_X ? LINE_X - MIN_DISTANCE_FROM_VERTICAL : LINE_X + MIN_DISTANCE_FROM_VERTICAL;
+    }
+    if (y < MAX_Y_POSITION) y = MAX_Y_POSITION;
+    
+    return { x, y };
+  };
+
+  // Points sorted by y must keep MIN_VERTICAL_SPACING between neighbours
+  const hasValidSpacing = (sorted) => {
+    for (let i = 0; i < sorted.length - 1; i++) {
+      if (Math.abs(sorted[i].y - sorted[i+1].y) < MIN_VERTICAL_SPACING) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  // Move a point with the same constraints for mouse, touch and keyboard.
+  // Returns the new points, or null if the move was rejected.
+  const movePoint = (id, rawX, rawY) => {
+    const { x, y } = constrainPosition(rawX, rawY);
+    const sorted = points
+      .map(p => p.id === id ? { ...p, x, y } : p)
+      .sort((a, b) => a.y - b.y);
+    
+    if (!hasValidSpacing(sorted)) return null;
+    setPoints(sorted);
+    return sorted;
+  };
+
+  const handleTap = (e) => {
     if (points.length >= MAX_POINTS) return;
     
     const { x, y } = getCanvasCoordinates(e);
@@ -294,60 +363,43 @@ export default function HybridMirrorBezier({ onCurveChange }) {
     setPoints([...points, newPoint].sort((a, b) => a.y - b.y));
   };
 
-  const handleMouseDown = (e) => {
+  // Returns true if the press grabbed a point (starting a drag)
+  const handlePointerPress = (e) => {
     const { x, y } = getCanvasCoordinates(e);
+    const hitRadius = getPointerHitRadius(e);
     
-    const point = points.find(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < 12);
+    const point = points.find(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < hitRadius);
     if (point) {
-      e.preventDefault();
-      e.stopPropagation();
+      beginHistoryGroup();
       setDraggingPointId(point.id);
+      return true;
     }
+    return false;
   };
 
-  const handleMouseMove = (e) => {
+  const handlePointerDrag = (e) => {
     if (draggingPointId === null) return;
     
-    const { x: rawX, y: rawY } = getCanvasCoordinates(e);
-    let x = rawX;
-    let y = rawY;
-    
-    // Clamp to canvas bounds
-    x = Math.max(LINE_X - MAX_LEFT_DISTANCE, Math.min(LINE_X + MAX_RIGHT_DISTANCE, x));
-    y = Math.max(LINE_TOP, Math.min(LINE_BOTTOM, y));
-    
-    // Enforce minimum distance from vertical line
-    if (Math.abs(x - LINE_X) < MIN_DISTANCE_FROM_VERTICAL) {
-      x = x < LINE_X ? LINE_X - MIN_DISTANCE_FROM_VERTICAL : LINE_X + MIN_DISTANCE_FROM_VERTICAL;
-    }
-    if (y < MAX_Y_POSITION) y = MAX_Y_POSITION;
-    
-    const newPoints = points.map(p => 
-      p.id === draggingPointId ? { ...p, x, y } : p
-    );
-    const sorted = newPoints.sort((a, b) => a.y - b.y);
-    
-    let valid = true;
-    for (let i = 0; i < sorted.length - 1; i++) {
-      if (Math.abs(sorted[i].y - sorted[i+1].y) < MIN_VERTICAL_SPACING) {
-        valid = false;
-        break;
-      }
-    }
-    
-    if (valid) {
-      setPoints(sorted);
-    }
+    const { x, y } = getCanvasCoordinates(e);
+    movePoint(draggingPointId, x, y);
   };
 
-  const handleMouseUp = () => {
+  const handlePointerRelease = () => {
+    endHistoryGroup();
     setDraggingPointId(null);
   };
 
-  const handleRightClick = (e) => {
-    e.preventDefault();
+  // Second finger down mid-drag: put the point back where it started
+  const handleDragCancel = () => {
+    cancelHistoryGroup();
+    setDraggingPointId(null);
+  };
+
+  // Right-click, or long-press on touch/pen
+  const handleDeletePoint = (e) => {
     const { x, y } = getCanvasCoordinates(e);
-    const point = points.find(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < 12);
+    const hitRadius = getPointerHitRadius(e);
+    const point = points.find(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < hitRadius);
     if (point) {
       setPoints(points.filter(p => p.id !== point.id));
     }
@@ -379,6 +431,149 @@ export default function HybridMirrorBezier({ onCurveChange }) {
     setPoints([]);
   };
 
+  // Describe a point for screen readers relative to the mirror, not in pixels
+  const describePoint = (id, list) => {
+    const index = list.findIndex(p => p.id === id);
+    const p = list[index];
+    const offset = Math.round(LINE_X - p.x);
+    const side = offset >= 0 ? `${offset} left of` : `${-offset} right of`;
+    const down = Math.round(((p.y - LINE_TOP) / (LINE_BOTTOM - LINE_TOP)) * 100);
+    const along = profile === 'x' ? `${down}% across from the left edge` : `${down}% down`;
+    return `Point ${index + 1} of ${list.length}: ${side} the mirror line, ${along}.`;
+  };
+
+  // Add a point halfway across the largest vertical gap along the mirror
+  const insertPointInLargestGap = () => {
+    if (points.length >= MAX_POINTS) {
+      setAnnouncement(`Maximum of ${MAX_POINTS} points reached.`);
+      return;
+    }
+    
+    const anchors = [
+      { x: LINE_X, y: LINE_TOP },
+      ...points,
+      { x: LINE_X, y: LINE_BOTTOM }
+    ];
+    let gap = 0;
+    for (let i = 1; i < anchors.length - 1; i++) {
+      if (anchors[i + 1].y - anchors[i].y > anchors[gap + 1].y - anchors[gap].y) gap = i;
+    }
+    
+    const { x, y } = constrainPosition(
+      (anchors[gap].x + anchors[gap + 1].x) / 2,
+      (anchors[gap].y + anchors[gap + 1].y) / 2
+    );
+    const newPoint = { x, y, id: nextIdRef.current++ };
+    const sorted = [...points, newPoint].sort((a, b) => a.y - b.y);
+    
+    if (!hasValidSpacing(sorted)) {
+      setAnnouncement('No room for another point.');
+      return;
+    }
+    setPoints(sorted);
+    setFocusedPointId(newPoint.id);
+    setAnnouncement(`Point added. ${describePoint(newPoint.id, sorted)}`);
+  };
+
+  const handleKeyDown = (e) => {
+    setCanvasFocused(true);
+    const index = points.findIndex(p => p.id === focusedPointId);
+    const focused = points[index];
+    
+    if (e.key === 'Tab') {
+      if (points.length === 0) return;
+      const next = index === -1
+        ? (e.shiftKey ? points.length - 1 : 0)
+        : index + (e.shiftKey ? -1 : 1);
+      // Past either end, let Tab leave the canvas as usual
+      if (next < 0 || next >= points.length) {
+        setFocusedPointId(null);
+        return;
+      }
+      e.preventDefault();
+      setFocusedPointId(points[next].id);
+      setAnnouncement(describePoint(points[next].id, points));
+      return;
+    }
+    
+    if (e.key === 'Insert' || e.key === 'Enter') {
+      e.preventDefault();
+      insertPointInLargestGap();
+      return;
+    }
+    
+    if (!focused) return;
+    
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      const remaining = points.filter(p => p.id !== focused.id);
+      setPoints(remaining);
+      const neighbour = remaining[Math.min(index, remaining.length - 1)];
+      setFocusedPointId(neighbour ? neighbour.id : null);
+      setAnnouncement(`Point removed. ${neighbour ? describePoint(neighbour.id, remaining) : 'No points left.'}`);
+      return;
+    }
+    
+    const step = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+    const deltas = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step]
+    };
+    if (!deltas[e.key]) return;
+    e.preventDefault();
+    
+    // A held arrow key is one undo step, ended in handleKeyUp
+    if (!e.repeat) beginHistoryGroup();
+    
+    const [dx, dy] = deltas[e.key];
+    let x = focused.x + dx;
+    // Hop over the dead zone around the mirror line instead of sticking to it
+    if (dx !== 0 && Math.abs(x - LINE_X) < MIN_DISTANCE_FROM_VERTICAL) {
+      x = LINE_X + Math.sign(dx) * MIN_DISTANCE_FROM_VERTICAL;
+    }
+    
+    const moved = movePoint(focused.id, x, focused.y + dy);
+    setAnnouncement(moved
+      ? describePoint(focused.id, moved)
+      : 'Blocked: too close to another point.');
+  };
+
+  const handleKeyUp = (e) => {
+    if (e.key.startsWith('Arrow')) endHistoryGroup();
+  };
+
+  const handleFocus = (e) => {
+    // Only show the point focus ring for keyboard focus, not mouse clicks
+    if (!e.target.matches(':focus-visible')) return;
+    setCanvasFocused(true);
+    if (points.length === 0) {
+      setAnnouncement('No points yet. Press Enter to add one.');
+    } else if (!points.some(p => p.id === focusedPointId)) {
+      // Shift+Tab back from a later control starts at the last point
+      const fromLater = e.relatedTarget &&
+        (e.currentTarget.compareDocumentPosition(e.relatedTarget) & Node.DOCUMENT_POSITION_FOLLOWING);
+      const start = fromLater ? points[points.length - 1] : points[0];
+      setFocusedPointId(start.id);
+      setAnnouncement(describePoint(start.id, points));
+    }
+  };
+
+  const handleBlur = () => {
+    setCanvasFocused(false);
+    endHistoryGroup();
+  };
+
+  const pointerHandlers = useCurvePointerInput({
+    onTap: handleTap,
+    onPress: handlePointerPress,
+    onDrag: handlePointerDrag,
+    onRelease: handlePointerRelease,
+    onCancel: handleDragCancel,
+    onDelete: handleDeletePoint
+  });
+
   return (
     <div className="w-full h-full flex flex-col items-center justify-center gap-4">
       <div className="flex-1 w-full flex items-center justify-center relative overflow-hidden rounded-2xl" style={{
@@ -417,14 +612,20 @@ export default function HybridMirrorBezier({ onCurveChange }) {
           ref={canvasRef}
           width={WIDTH}
           height={HEIGHT}
-          className="relative z-10 w-full h-full object-contain cursor-crosshair"
-          onClick={handleClick}
-          onMouseDown={handleMouseDown}
-          onMouseMove={handleMouseMove}
-          onMouseUp={handleMouseUp}
-          onMouseLeave={handleMouseUp}
-          onContextMenu={handleRightClick}
+          className="relative z-10 w-full h-full object-contain cursor-crosshair touch-none focus-visible:outline-4 focus-visible:outline-yellow-400"
+          tabIndex={0}
+          role="application"
+          aria-roledescription="mirror curve editor"
+          aria-label={`${profileLabel} profile designer. Tab moves between points, arrow keys move the selected point (hold Shift for larger steps), Delete removes it, Enter or Insert adds a point.`}
+          onKeyDown={handleKeyDown}
+          onKeyUp={handleKeyUp}
+          onFocus={handleFocus}
+          onBlur={handleBlur}
+          {...pointerHandlers}
         />
+        <div className="sr-only" role="status" aria-live="polite">
+          {announcement}
+        </div>
       </div>
       
       {/* Preset Buttons */}
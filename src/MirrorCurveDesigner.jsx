@@ -1,11 +1,18 @@
 import React, { useRef, useState, useEffect } from 'react';
 import { splineToQuadraticBezier } from './splineToQuadraticBezier.js';
 import { useMirrorCurve } from './contexts/MirrorCurveContext';
+import { useCurvePointerInput, getPointerHitRadius } from './hooks/useCurvePointerInput';
+
+const DEFAULT_MIDDLE_POINT = { x: 400, y: 300 };
 
 export default function MirrorDesigner({ onCurveChange }) {
   const canvasRef = useRef(null);
-  const { points, setPoints } = useMirrorCurve();
-  const [middlePoint, setMiddlePoint] = useState({ x: 400, y: 300 });
+  const {
+    points, setPoints, middlePoint: savedMiddlePoint, setMiddlePoint,
+    beginHistoryGroup, endHistoryGroup, cancelHistoryGroup
+  } = useMirrorCurve();
+  // Kept in the context so it is saved, shared and undone with the points
+  const middlePoint = savedMiddlePoint || DEFAULT_MIDDLE_POINT;
   const [draggingMiddle, setDraggingMiddle] = useState(false);
   const [draggingPoint, setDraggingPoint] = useState(null);
 
@@ -295,7 +302,7 @@ export default function MirrorDesigner({ onCurveChange }) {
     }
   };
 
-  const handleClick = (e) => {
+  const handleTap = (e) => {
     console.log('Click - points:', points.length);
     if (points.length >= 2) {
       console.log('Blocked - max points');
@@ -352,18 +359,26 @@ export default function MirrorDesigner({ onCurveChange }) {
     setPoints([...points, { x, y }].sort((a, b) => a.y - b.y));
   };
 
-  const handleMouseDown = (e) => {
+  // Returns true if the press grabbed the middle point or a control point
+  const handlePointerPress = (e) => {
     const { x, y } = getCanvasCoordinates(e);
+    const hitRadius = getPointerHitRadius(e);
     
-    if (Math.sqrt((middlePoint.x - x) ** 2 + (LINE_MIDDLE - y) ** 2) < 12) {
+    if (Math.sqrt((middlePoint.x - x) ** 2 + (LINE_MIDDLE - y) ** 2) < hitRadius) {
+      beginHistoryGroup();
       setDraggingMiddle(true);
-      return;
+      return true;
     }
-    const i = points.findIndex(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < 12);
-    if (i !== -1) setDraggingPoint(i);
+    const i = points.findIndex(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < hitRadius);
+    if (i !== -1) {
+      beginHistoryGroup();
+      setDraggingPoint(i);
+      return true;
+    }
+    return false;
   };
 
-  const handleMouseMove = (e) => {
+  const handlePointerDrag = (e) => {
     if (draggingMiddle) {
       const { x } = getCanvasCoordinates(e);
       let clampedX = Math.max(0, Math.min(LINE_X, x));
@@ -424,18 +439,36 @@ export default function MirrorDesigner({ onCurveChange }) {
     }
   };
 
-  const handleMouseUp = () => {
+  const handlePointerRelease = () => {
+    endHistoryGroup();
+    setDraggingMiddle(false);
+    setDraggingPoint(null);
+  };
+
+  // Second finger down mid-drag: put everything back where it started
+  const handleDragCancel = () => {
+    cancelHistoryGroup();
     setDraggingMiddle(false);
     setDraggingPoint(null);
   };
 
-  const handleRightClick = (e) => {
-    e.preventDefault();
+  // Right-click, or long-press on touch/pen
+  const handleDeletePoint = (e) => {
     const { x, y } = getCanvasCoordinates(e);
-    const i = points.findIndex(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < 12);
+    const hitRadius = getPointerHitRadius(e);
+    const i = points.findIndex(p => Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) < hitRadius);
     if (i !== -1) setPoints(points.filter((_, j) => j !== i));
   };
 
+  const pointerHandlers = useCurvePointerInput({
+    onTap: handleTap,
+    onPress: handlePointerPress,
+    onDrag: handlePointerDrag,
+    onRelease: handlePointerRelease,
+    onCancel: handleDragCancel,
+    onDelete: handleDeletePoint
+  });
+
   return (
     <div className="w-full h-full flex items-center justify-center relative overflow-hidden rounded-2xl" style={{
       background: 'linear-gradient(135deg, #e2e8f0 0%, #cbd5e1 50%, #94a3b8 100%)'
@@ -473,13 +506,8 @@ export default function MirrorDesigner({ onCurveChange }) {
         ref={canvasRef}
         width={WIDTH}
         height={HEIGHT}
-        className="relative z-10 w-full h-full object-contain cursor-crosshair"
-        onClick={handleClick}
-        onMouseDown={handleMouseDown}
-        onMouseMove={handleMouseMove}
-        onMouseUp={handleMouseUp}
-        onMouseLeave={handleMouseUp}
-        onContextMenu={handleRightClick}
+        className="relative z-10 w-full h-full object-contain cursor-crosshair touch-none"
+        {...pointerHandlers}
       />
     </div>
   );
@@ -1,9 +1,25 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import ClassicMirrorViewport from './ClassicMirrorViewport';
 import RayTracedMirror from './RayTracedMirror';
+import FrameTimeHud from './components/FrameTimeHud';
+import BeforeAfterOverlay from './components/BeforeAfterOverlay';
+import Button from './components/Button';
+import { useOrbitCamera } from './hooks/useOrbitCamera';
+import { useFaceTracking } from './hooks/useFaceTracking';
+import { useMirrorCurve } from './contexts/MirrorCurveContext';
+import { MIN_MIRROR_DIST, MAX_MIRROR_DIST } from './viewportSettings.js';
+import { hybridQuadraticBeziers, HYBRID_BOUNDS } from './hybridProfile.js';
+import { createFrameStats } from './frameStats.js';
+import { DEFAULT_ORBIT, orbitCameraPose, isDefaultOrbit } from './orbitCamera.js';
+import { placeMirrorOnFace } from './faceTracking.js';
 
-// Convert quadratic Bezier curves from MirrorCurveDesigner to RayTracedMirror format
-const convertBezierCurvesToSegments = (curveData) => {
+// Ray traced output width; height follows the camera's aspect ratio
+const RAY_TRACED_WIDTH = 640;
+
+// Convert quadratic Bezier curves from MirrorCurveDesigner to RayTracedMirror format.
+// halfExtent is the physical half size of the profile's axis; the yMin/yMax of
+// a horizontal (X) profile's segments are really xMin/xMax.
+const convertBezierCurvesToSegments = (curveData, halfExtent = 2.0) => {
   console.log('[convertBezierCurvesToSegments] Input curveData:', curveData);
   
   // Check if we have the new quadratic Bezier data
@@ -26,7 +42,7 @@ const convertBezierCurvesToSegments = (curveData) => {
   const canvasWidth = bounds.x;  // e.g., 400 (the centerline x position)
   
   // Physical dimensions for the shader (matching the mirror parameters)
-  const physicalHalfHeight = 2.0;  // Make mirror much taller
+  const physicalHalfHeight = halfExtent;
   const physicalMaxDepth = 1.0;    // Increase max curve depth
   
   console.log('[convertBezierCurvesToSegments] Canvas bounds:', { 
@@ -132,13 +148,94 @@ const convertCurveDataToSegments = (curveData) => {
   return result;
 };
 
-export default function MirrorViewport({ videoRef, curveData, rotation, isActive, useRayTracing }) {
-  // State for mirror distance (adjustable with W/S keys in ray tracing mode)
-  const [mirrorDist, setMirrorDist] = useState(3.5);
+// Horizontal profile segments for a doubly curved mirror, empty when the
+// mirror is flat along X. The shader tests each X segment in a ray's reach
+// against each Y segment, so fit the X profile more loosely to keep that cheap.
+const X_PROFILE_TOLERANCE = 4.0;
+
+const convertXProfileToSegments = (xPoints, mirrorHalfWidth) => {
+  const quadraticBeziers = hybridQuadraticBeziers(xPoints, HYBRID_BOUNDS, X_PROFILE_TOLERANCE);
+  if (quadraticBeziers.length === 0) return [];
+  return convertBezierCurvesToSegments({
+    quadraticBeziers,
+    bounds: HYBRID_BOUNDS
+  }, mirrorHalfWidth);
+};
+
+// Vertical profile of the infinity tunnel's back mirror, flat when it has no points
+const convertBackProfileToSegments = (backPoints, mirrorHalfHeight) => {
+  const quadraticBeziers = hybridQuadraticBeziers(backPoints, HYBRID_BOUNDS);
+  if (quadraticBeziers.length === 0) {
+    return [{ yMin: -mirrorHalfHeight, yMax: mirrorHalfHeight, z0: 0.0, z1: 0.0, z2: 0.0 }];
+  }
+  return convertBezierCurvesToSegments({
+    quadraticBeziers,
+    bounds: HYBRID_BOUNDS
+  }, mirrorHalfHeight);
+};
+
+export default function MirrorViewport({ videoRef, curveData, rotation, material, isActive, useRayTracing, showCompare = false, faceTracking = false, preview = false, outputCanvasRef, aspectRatio = 4 / 3 }) {
+  // Scene parameters live in the context so they can be saved with a design.
+  // mirrorDist is adjustable with W/S keys in ray tracing mode.
+  const { viewportSettings, setViewportSettings, xPoints, backPoints } = useMirrorCurve();
+  const [frameStats] = useState(createFrameStats);
+  const [showFrameTimes, setShowFrameTimes] = useState(false);
+  // Why ray tracing can't run on this device, once RayTracedMirror has tried
+  const [rayTracingUnavailable, setRayTracingUnavailable] = useState(null);
+  const showRayTraced = useRayTracing && !rayTracingUnavailable;
+  // Classic mode: blend neighbouring pixels instead of picking the nearest
+  const [smoothClassic, setSmoothClassic] = useState(false);
+
+  // Drag to orbit, scroll to zoom, arrow keys to strafe (ray tracing mode).
+  // The designer's preview keeps the straight-on view and leaves the keys
+  // to the designer.
+  const viewportRef = useRef(null);
+  const canOrbit = showRayTraced && !preview;
+  const { orbit, resetOrbit, pointerHandlers } = useOrbitCamera(viewportRef, canOrbit);
+
+  // Stable segment lists, so the renderer only re-uploads when a curve changes
+  const curveSegments = useMemo(() => convertCurveDataToSegments(curveData), [curveData]);
+  const xCurveSegments = useMemo(
+    () => convertXProfileToSegments(xPoints, viewportSettings.mirrorHalfWidth),
+    [xPoints, viewportSettings.mirrorHalfWidth]
+  );
+  const backCurveSegments = useMemo(
+    () => convertBackProfileToSegments(backPoints, viewportSettings.mirrorHalfHeight),
+    [backPoints, viewportSettings.mirrorHalfHeight]
+  );
+
+  // Face tracking moves the mirror for whoever is in front of it, without
+  // touching the design's own mirrorDist
+  const { face, unavailableReason: faceTrackingUnavailable } = useFaceTracking(videoRef, faceTracking && showRayTraced && isActive);
+  const facePlacement = useMemo(
+    () => face && placeMirrorOnFace(face, { ...viewportSettings, rotation, curveSegments, xCurveSegments }),
+    [face, viewportSettings, rotation, curveSegments, xCurveSegments]
+  );
+  const mirrorDist = facePlacement?.mirrorDist ?? viewportSettings.mirrorDist;
+
+  const cameraPose = useMemo(
+    () => orbitCameraPose(preview ? DEFAULT_ORBIT : orbit, mirrorDist, viewportSettings.imagePlaneDist),
+    [preview, orbit, mirrorDist, viewportSettings.imagePlaneDist]
+  );
+
+  // F toggles the frame-time HUD in either mode
+  useEffect(() => {
+    if (preview) return;
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.key.toLowerCase() !== 'f') return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      setShowFrameTimes(show => !show);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [preview]);
   
   // Keyboard controls for adjusting mirror distance (W/S keys in ray tracing mode)
   useEffect(() => {
-    if (!useRayTracing) return; // Only enable for ray tracing mode
+    if (!canOrbit) return; // Only enable for the full-size ray traced view
     
     const handleKeyDown = (e) => {
       const key = e.key.toLowerCase();
@@ -146,41 +243,108 @@ export default function MirrorViewport({ videoRef, curveData, rotation, isActive
       
       if (key === 'w') {
         // W key moves mirror further (increases distance)
-        setMirrorDist(prev => Math.min(10.0, prev + step));
+        setViewportSettings(prev => ({ ...prev, mirrorDist: Math.min(MAX_MIRROR_DIST, prev.mirrorDist + step) }));
       } else if (key === 's') {
         // S key brings mirror closer (reduces distance)
-        setMirrorDist(prev => Math.max(0.5, prev - step));
+        setViewportSettings(prev => ({ ...prev, mirrorDist: Math.max(MIN_MIRROR_DIST, prev.mirrorDist - step) }));
       }
     };
     
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [useRayTracing]);
+  }, [canOrbit, setViewportSettings]);
   
   return (
-    <div className="w-full h-full flex items-center justify-center">
-      {useRayTracing ? (
+    <div
+      ref={viewportRef}
+      className={`relative w-full h-full flex items-center justify-center ${canOrbit ? 'touch-none cursor-grab active:cursor-grabbing' : ''}`}
+      {...(canOrbit ? pointerHandlers : {})}
+    >
+      {showRayTraced ? (
         <RayTracedMirror
           videoRef={videoRef}
-          curveSegments={convertCurveDataToSegments(curveData)}
+          curveSegments={curveSegments}
+          xCurveSegments={xCurveSegments}
+          backCurveSegments={backCurveSegments}
           mirrorDist={mirrorDist}
-          mirrorHalfWidth={2.0}
-          mirrorHalfHeight={2.0}
-          imagePlaneDist={1.0}
-          imageSizeX={8}
-          imageSizeY={6}
-          fov={60.0}
-          width={640}
-          height={480}
+          mirrorHalfWidth={viewportSettings.mirrorHalfWidth}
+          mirrorHalfHeight={viewportSettings.mirrorHalfHeight}
+          imagePlaneDist={viewportSettings.imagePlaneDist}
+          imageSizeX={viewportSettings.imageSizeX}
+          imageSizeY={viewportSettings.imageSizeY}
+          imageOffset={facePlacement?.imageOffset}
+          fov={viewportSettings.fov}
+          cameraPosition={cameraPose.position}
+          cameraYaw={cameraPose.yaw}
+          cameraPitch={cameraPose.pitch}
+          bounces={viewportSettings.bounces}
+          mirrorSeparation={viewportSettings.mirrorSeparation}
+          material={material}
+          rotation={rotation}
+          width={RAY_TRACED_WIDTH}
+          height={Math.round(RAY_TRACED_WIDTH / aspectRatio)}
+          outputCanvasRef={outputCanvasRef}
+          frameStats={frameStats}
+          onUnavailable={setRayTracingUnavailable}
         />
       ) : (
         <ClassicMirrorViewport
           videoRef={videoRef}
           curveData={curveData}
           rotation={rotation}
+          bilinear={smoothClassic}
           isActive={isActive}
+          outputCanvasRef={outputCanvasRef}
+          frameStats={frameStats}
         />
       )}
+      {showCompare && !preview && (
+        <BeforeAfterOverlay
+          videoRef={videoRef}
+          targetCanvasRef={outputCanvasRef}
+          rotation={rotation}
+          isActive={isActive}
+        />
+      )}
+      {useRayTracing && rayTracingUnavailable && !preview && (
+        <div
+          role="status"
+          className="absolute bottom-2 right-2 z-10 max-w-xs px-3 py-2 rounded-lg bg-black/70 text-sm text-white/90"
+        >
+          Ray traced mode isn't available here ({rayTracingUnavailable}), so the Classic mirror is shown instead.
+        </div>
+      )}
+      {canOrbit && !isDefaultOrbit(orbit) && (
+        <Button
+          onClick={resetOrbit}
+          variant="ghost"
+          className="absolute bottom-2 right-2 z-10 px-3! py-1.5! text-sm!"
+        >
+          Reset View
+        </Button>
+      )}
+      {!showRayTraced && !preview && (
+        <Button
+          onClick={() => setSmoothClassic(smooth => !smooth)}
+          variant="ghost"
+          className="absolute top-2 right-2 z-10 px-3! py-1.5! text-sm!"
+        >
+          Smooth Pixels: {smoothClassic ? 'On' : 'Off'}
+        </Button>
+      )}
+      {faceTracking && showRayTraced && !preview && (
+        <div
+          role="status"
+          className="absolute top-2 left-1/2 -translate-x-1/2 z-10 px-3 py-1 rounded-full bg-black/60 text-sm pointer-events-none"
+        >
+          {faceTrackingUnavailable
+            ? `Face tracking isn't available here (${faceTrackingUnavailable})`
+            : face ? 'Following your face' : 'Looking for a face…'}
+        </div>
+      )}
+      {showFrameTimes && !preview && (
+        <FrameTimeHud frameStats={frameStats} mode={showRayTraced ? 'Ray traced' : 'Classic'} />
+      )}
     </div>
   );
 }
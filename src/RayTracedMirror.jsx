@@ -1,21 +1,137 @@
-import { useRef, useEffect } from 'react';
+import { useRef, useState, useEffect, useMemo } from 'react';
 import vertexShaderSource from './shaders/curved_mirror_vertex.glsl?raw';
 import fragmentShaderSource from './shaders/square_mirror_fragment_asym.glsl?raw';
+import { getSourceSize, isSourceReady } from './mediaSource.js';
+import { createMirrorContext } from './webglSupport.js';
+import { DEFAULT_MIRROR_MATERIAL, hexToRgb } from './mirrorMaterial.js';
+import { createDirtCanvas } from './dirtTexture.js';
 
 const BACKGROUND_COLOR = [0.0, 0.0, 0.0];
 
+// Segments per profile; the shader's binary search (MAX_SEARCH_STEPS) covers up to 4096
+const MAX_SEGMENTS = 1024;
+
+// Texture unit of the segment data texture (the webcam uses unit 0)
+const SEGMENT_TEXTURE_UNIT = 1;
+
+// Texture unit of the material's dirt overlay
+const DIRT_TEXTURE_UNIT = 2;
+
+// Lowest and highest depth of a profile, from its Bézier control values
+// (the curve stays inside their range)
+const profileDepthRange = (bezierSegments) => {
+  if (bezierSegments.length === 0) return [0, 0];
+  const depths = bezierSegments.flatMap(seg => [seg.z0, seg.z1, seg.z2]);
+  return [Math.min(...depths), Math.max(...depths)];
+};
+
+const UNIFORM_NAMES = [
+  'u_resolution', 'u_webcamTex', 'u_segmentTex', 'u_segmentTexWidth',
+  'u_numSegments', 'u_numXSegments', 'u_depthRange',
+  'u_mirrorDist', 'u_mirrorHalfWidth', 'u_mirrorHalfHeight',
+  'u_imagePlaneDist', 'u_imageSize', 'u_fov', 'u_rotation', 'u_backgroundColor',
+  'u_numBackSegments', 'u_backDepthRange', 'u_bounces', 'u_mirrorSeparation',
+  'u_tint', 'u_reflectivity', 'u_f0', 'u_roughness', 'u_dirt', 'u_edgeFade', 'u_dirtTex',
+  'u_cameraPos', 'u_cameraYaw', 'u_cameraPitch', 'u_imageOffset'
+];
+
+// The original fixed camera: at the origin looking straight at the mirror
+const DEFAULT_CAMERA_POSITION = [0, 0, 0];
+const DEFAULT_IMAGE_OFFSET = [0, 0];
+
+// Convert a Bézier segment's control points to polynomial coefficients
+const bezierToPolynomial = ({ yMin, yMax, z0, z1, z2 }) => {
+  const yRange = yMax - yMin;
+  
+  if (yRange === 0.0) {
+    return { a: 0, b: 0, c: z0, yMin };
+  }
+  
+  // Quadratic Bézier parametric form: B(t) = (1-t)²·P₀ + 2(1-t)t·P₁ + t²·P₂, t ∈ [0,1]
+  // where t = (y - yMin) / yRange
+  
+  // Bézier coefficients in t-space:
+  // z(t) = a_t·t² + b_t·t + c_t
+  const a_t = z0 - 2.0 * z1 + z2;
+  const b_t = 2.0 * (z1 - z0);
+  const c_t = z0;
+  
+  // Convert to polynomial in y-space: z(y) = a·y² + b·y + c
+  // by substituting t = (y - yMin) / yRange and expanding
+  const a = a_t / (yRange * yRange);
+  const b = b_t / yRange - 2.0 * a_t * yMin / (yRange * yRange);
+  const c = c_t + a_t * yMin * yMin / (yRange * yRange) - b_t * yMin / yRange;
+  
+  return { a, b, c, yMin };
+};
+
+// Rows of the segment texture (ROW_Y, ROW_X and ROW_BACK in the shader)
+const SEGMENT_TEXTURE_ROWS = 3;
+
+/**
+ * Pack the profiles for the segment texture: row 0 vertical (y), row 1
+ * horizontal (x), row 2 the back mirror's vertical profile, one RGBA texel
+ * (a, b, c, start) per segment. Sorted by start so the shader can binary search.
+ */
+const packSegments = (curveSegments, xCurveSegments, backCurveSegments) => {
+  const bySegmentStart = (p, q) => p.yMin - q.yMin;
+  const rows = [curveSegments, xCurveSegments, backCurveSegments].map(profile => {
+    const segments = profile.map(bezierToPolynomial).sort(bySegmentStart);
+    if (segments.length > MAX_SEGMENTS) {
+      console.warn('[RayTracedMirror] WARNING: Too many segments! Max', MAX_SEGMENTS, 'per profile, got',
+        segments.length, '- truncating');
+    }
+    return segments.slice(0, MAX_SEGMENTS);
+  });
+
+  const texWidth = Math.max(1, ...rows.map(row => row.length));
+  const texels = new Float32Array(texWidth * SEGMENT_TEXTURE_ROWS * 4);
+  rows.forEach((row, r) => {
+    row.forEach((seg, i) => {
+      texels.set([seg.a, seg.b, seg.c, seg.yMin], (r * texWidth + i) * 4);
+    });
+  });
+
+  // Depth slab the mirror occupies; in separable mode the profiles add up
+  const [yDepthMin, yDepthMax] = profileDepthRange(curveSegments);
+  const [xDepthMin, xDepthMax] = profileDepthRange(xCurveSegments);
+
+  return {
+    texels,
+    texWidth,
+    numSegments: rows[0].length,
+    numXSegments: rows[1].length,
+    numBackSegments: rows[2].length,
+    depthRange: [yDepthMin + xDepthMin, yDepthMax + xDepthMax],
+    backDepthRange: profileDepthRange(backCurveSegments)
+  };
+};
+
 export default function RayTracedMirror({
-  videoRef,
+  videoRef, // <video> (webcam or file) or <img>
   curveSegments, // Array of { yMin, yMax, z0, z1, z2 }
+  xCurveSegments = [], // Horizontal profile, same shape with x in place of y; empty = flat along X
+  backCurveSegments = [], // Infinity tunnel back mirror's vertical profile
   mirrorDist,
   mirrorHalfWidth,
   mirrorHalfHeight,
   imagePlaneDist,
   imageSizeX,
   imageSizeY,
+  imageOffset = DEFAULT_IMAGE_OFFSET, // [x, y] slide of the webcam image plane, see faceTracking.js
   fov,
+  cameraPosition = DEFAULT_CAMERA_POSITION, // [x, y, z], see orbitCamera.js
+  cameraYaw = 0, // Radians, positive looks right
+  cameraPitch = 0, // Radians, positive looks up
+  rotation = 0, // Degrees, clockwise; 90/270 run the profile horizontally
+  bounces = 1, // Reflections traced; more than 1 adds the back mirror
+  mirrorSeparation = 6.0, // Distance from the mirror to the back mirror
+  material = DEFAULT_MIRROR_MATERIAL, // See mirrorMaterial.js
   width = 640,
-  height = 480
+  height = 480,
+  outputCanvasRef, // Optional ref the parent can use to read frames (photos, recording)
+  frameStats, // Optional createFrameStats() collector for the frame-time HUD
+  onUnavailable // Called with a reason when this device can't ray trace
 }) {
   console.log('[RayTracedMirror] Component rendering/mounting with props:', {
     hasVideoRef: !!videoRef,
@@ -24,10 +140,27 @@ export default function RayTracedMirror({
     width, height
   });
   
-  const canvasRef = useRef(null);
+  const localCanvasRef = useRef(null);
+  const canvasRef = outputCanvasRef || localCanvasRef;
   const glRef = useRef(null);
   const textureRef = useRef(null);
+  const segmentTextureRef = useRef(null);
   const shaderProgramRef = useRef(null);
+  const uniformsRef = useRef(null);
+  const segmentFormatRef = useRef(null);
+  // Roughness blurs through the webcam texture's mipmaps, which WebGL1 can't
+  // build for camera-sized (non power of two) frames
+  const canMipmapRef = useRef(false);
+  const useMipmapsRef = useRef(false);
+  const [contextLost, setContextLost] = useState(false);
+  // Bumped when a lost context is restored, so the effects below redo their uploads
+  const [glGeneration, setGlGeneration] = useState(0);
+
+  // Polynomial segment texels, rebuilt only when a profile changes
+  const segmentData = useMemo(
+    () => packSegments(curveSegments, xCurveSegments, backCurveSegments),
+    [curveSegments, xCurveSegments, backCurveSegments]
+  );
 
   // Initialize WebGL and shaders
   useEffect(() => {
@@ -39,96 +172,247 @@ export default function RayTracedMirror({
     }
     console.log('[RayTracedMirror] Canvas found:', canvas.width, 'x', canvas.height);
 
-    const gl = canvas.getContext('webgl2', {
+    const { gl, isWebGL2, reason } = createMirrorContext(canvas, {
       alpha: false,
       antialias: false,
-      preserveDrawingBuffer: false,
+      preserveDrawingBuffer: true, // Keep the last frame readable for photo capture
       powerPreference: 'high-performance'
     });
 
     if (!gl) {
-      console.error('[RayTracedMirror] WebGL2 not supported, trying WebGL1');
-      const gl1 = canvas.getContext('webgl');
-      if (!gl1) {
-        console.error('[RayTracedMirror] WebGL not supported at all');
-        return;
-      }
+      console.error('[RayTracedMirror] Cannot ray trace:', reason);
+      onUnavailable?.(reason);
+      return;
     }
 
-    console.log('[RayTracedMirror] WebGL context obtained');
+    console.log('[RayTracedMirror] WebGL context obtained, WebGL2:', isWebGL2);
     glRef.current = gl;
+    // WebGL1 has no sized float formats; OES_texture_float takes RGBA + FLOAT
+    segmentFormatRef.current = isWebGL2 ? gl.RGBA32F : gl.RGBA;
+    canMipmapRef.current = isWebGL2;
+
+    // Texture, shaders, program and quad buffer. Run again after a context
+    // loss, since every GL object dies with the old context.
+    const buildResources = () => {
+      // Extensions have to be enabled again on a restored context too
+      if (!isWebGL2) gl.getExtension('OES_texture_float');
+
+      // Create texture to hold the webcam input for ray tracing. Camera frames
+      // are rarely a power of two, which WebGL1 only allows with clamped
+      // wrapping and no mipmaps
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      textureRef.current = texture;
 
-    // Create texture to hold the webcam input for ray tracing
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    textureRef.current = texture;
-
-    // Compile shaders
-    console.log('[RayTracedMirror] Compiling vertex shader, source length:', vertexShaderSource?.length);
-    const vertexShader = gl.createShader(gl.VERTEX_SHADER);
-    gl.shaderSource(vertexShader, vertexShaderSource);
-    gl.compileShader(vertexShader);
+      // Float texture holding the mirror profile segments, one RGBA texel each
+      const segmentTexture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, segmentTexture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      segmentTextureRef.current = segmentTexture;
+
+      // Dirt overlay for the mirror material, generated once per context
+      const dirtTexture = gl.createTexture();
+      gl.activeTexture(gl.TEXTURE0 + DIRT_TEXTURE_UNIT);
+      gl.bindTexture(gl.TEXTURE_2D, dirtTexture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, createDirtCanvas());
+      gl.activeTexture(gl.TEXTURE0);
+
+      // Compile shaders
+      console.log('[RayTracedMirror] Compiling vertex shader, source length:', vertexShaderSource?.length);
+      const vertexShader = gl.createShader(gl.VERTEX_SHADER);
+      gl.shaderSource(vertexShader, vertexShaderSource);
+      gl.compileShader(vertexShader);
     
-    if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
-      console.error('[RayTracedMirror] Vertex shader compilation error:', gl.getShaderInfoLog(vertexShader));
-      return;
-    }
-    console.log('[RayTracedMirror] Vertex shader compiled successfully');
+      if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
+        console.error('[RayTracedMirror] Vertex shader compilation error:', gl.getShaderInfoLog(vertexShader));
+        onUnavailable?.('the mirror shader failed to compile on this device');
+        return false;
+      }
+      console.log('[RayTracedMirror] Vertex shader compiled successfully');
 
-    console.log('[RayTracedMirror] Compiling fragment shader, source length:', fragmentShaderSource?.length);
-    const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
-    gl.shaderSource(fragmentShader, fragmentShaderSource);
-    gl.compileShader(fragmentShader);
+      console.log('[RayTracedMirror] Compiling fragment shader, source length:', fragmentShaderSource?.length);
+      const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
+      gl.shaderSource(fragmentShader, fragmentShaderSource);
+      gl.compileShader(fragmentShader);
     
-    if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
-      console.error('[RayTracedMirror] Fragment shader compilation error:', gl.getShaderInfoLog(fragmentShader));
-      return;
-    }
-    console.log('[RayTracedMirror] Fragment shader compiled successfully');
+      if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
+        console.error('[RayTracedMirror] Fragment shader compilation error:', gl.getShaderInfoLog(fragmentShader));
+        onUnavailable?.('the mirror shader failed to compile on this device');
+        return false;
+      }
+      console.log('[RayTracedMirror] Fragment shader compiled successfully');
 
-    // Create program
-    console.log('[RayTracedMirror] Linking shader program');
-    const program = gl.createProgram();
-    gl.attachShader(program, vertexShader);
-    gl.attachShader(program, fragmentShader);
-    gl.linkProgram(program);
+      // Create program
+      console.log('[RayTracedMirror] Linking shader program');
+      const program = gl.createProgram();
+      gl.attachShader(program, vertexShader);
+      gl.attachShader(program, fragmentShader);
+      gl.linkProgram(program);
 
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-      console.error('[RayTracedMirror] Shader program link error:', gl.getProgramInfoLog(program));
-      return;
-    }
-    console.log('[RayTracedMirror] Shader program linked successfully');
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        console.error('[RayTracedMirror] Shader program link error:', gl.getProgramInfoLog(program));
+        onUnavailable?.('the mirror shader failed to link on this device');
+        return false;
+      }
+      console.log('[RayTracedMirror] Shader program linked successfully');
+
+      shaderProgramRef.current = program;
+
+      // Create fullscreen quad buffer
+      const positionBuffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+      const positions = new Float32Array([
+        -1, -1,
+         1, -1,
+        -1,  1,
+         1,  1,
+      ]);
+      gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
 
-    shaderProgramRef.current = program;
+      gl.positionBuffer = positionBuffer;
 
-    // Create fullscreen quad buffer
-    const positionBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    const positions = new Float32Array([
-      -1, -1,
-       1, -1,
-      -1,  1,
-       1,  1,
-    ]);
-    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+      // Look up locations once; the draw state below never changes after this
+      uniformsRef.current = Object.fromEntries(
+        UNIFORM_NAMES.map(name => [name, gl.getUniformLocation(program, name)])
+      );
+      const aPosition = gl.getAttribLocation(program, 'a_position');
+      console.log('[RayTracedMirror] Attribute location a_position:', aPosition);
+
+      gl.useProgram(program);
+      gl.enableVertexAttribArray(aPosition);
+      gl.vertexAttribPointer(aPosition, 2, gl.FLOAT, false, 0, 0);
+      gl.uniform1i(uniformsRef.current.u_webcamTex, 0);
+      gl.uniform1i(uniformsRef.current.u_segmentTex, SEGMENT_TEXTURE_UNIT);
+      gl.uniform1i(uniformsRef.current.u_dirtTex, DIRT_TEXTURE_UNIT);
+      gl.uniform3f(uniformsRef.current.u_backgroundColor, ...BACKGROUND_COLOR);
+      gl.clearColor(...BACKGROUND_COLOR, 1.0);
 
-    gl.positionBuffer = positionBuffer;
+      // The segment texture stays bound to its unit; unit 0 is the webcam's
+      gl.activeTexture(gl.TEXTURE0 + SEGMENT_TEXTURE_UNIT);
+      gl.bindTexture(gl.TEXTURE_2D, segmentTexture);
+      gl.activeTexture(gl.TEXTURE0);
+      return true;
+    };
 
+    if (!buildResources()) return;
     console.log('[RayTracedMirror] ✓ WebGL initialization complete');
-  }, []);
 
-  // Render loop
+    // A GPU reset or a backgrounded mobile tab can take the context away.
+    // Cancelling the event lets the browser restore it; the effects below
+    // pause on contextLost and re-upload everything on the new generation.
+    // (Test with gl.getExtension('WEBGL_lose_context').loseContext().)
+    const handleContextLost = (e) => {
+      e.preventDefault();
+      console.warn('[RayTracedMirror] WebGL context lost, pausing');
+      shaderProgramRef.current = null;
+      setContextLost(true);
+    };
+
+    const handleContextRestored = () => {
+      console.log('[RayTracedMirror] WebGL context restored, rebuilding');
+      if (!buildResources()) return;
+      setContextLost(false);
+      setGlGeneration(generation => generation + 1);
+    };
+
+    canvas.addEventListener('webglcontextlost', handleContextLost);
+    canvas.addEventListener('webglcontextrestored', handleContextRestored);
+    return () => {
+      canvas.removeEventListener('webglcontextlost', handleContextLost);
+      canvas.removeEventListener('webglcontextrestored', handleContextRestored);
+    };
+  }, [canvasRef, onUnavailable]);
+
+  // Profile segments: converted and uploaded only when a curve changes
+  useEffect(() => {
+    const gl = glRef.current;
+    const program = shaderProgramRef.current;
+    const uniforms = uniformsRef.current;
+    if (!gl || !program || !uniforms) return;
+
+    console.log('[RayTracedMirror] Uploading segments:', segmentData.numSegments, 'X segments:', segmentData.numXSegments,
+      'back segments:', segmentData.numBackSegments);
+    gl.useProgram(program);
+    gl.activeTexture(gl.TEXTURE0 + SEGMENT_TEXTURE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, segmentTextureRef.current);
+    gl.texImage2D(gl.TEXTURE_2D, 0, segmentFormatRef.current, segmentData.texWidth, SEGMENT_TEXTURE_ROWS, 0, gl.RGBA, gl.FLOAT, segmentData.texels);
+    gl.activeTexture(gl.TEXTURE0);
+
+    gl.uniform1f(uniforms.u_segmentTexWidth, segmentData.texWidth);
+    gl.uniform1i(uniforms.u_numSegments, segmentData.numSegments);
+    gl.uniform1i(uniforms.u_numXSegments, segmentData.numXSegments);
+    gl.uniform2f(uniforms.u_depthRange, ...segmentData.depthRange);
+    gl.uniform1i(uniforms.u_numBackSegments, segmentData.numBackSegments);
+    gl.uniform2f(uniforms.u_backDepthRange, ...segmentData.backDepthRange);
+  }, [canvasRef, segmentData, glGeneration]);
+
+  // Scene parameters: set once per change rather than every frame
+  useEffect(() => {
+    const gl = glRef.current;
+    const program = shaderProgramRef.current;
+    const uniforms = uniformsRef.current;
+    if (!gl || !program || !uniforms) return;
+
+    console.log('[RayTracedMirror] Mirror parameters:', {
+      mirrorDist, mirrorHalfWidth, mirrorHalfHeight,
+      imagePlaneDist, imageSizeX, imageSizeY, fov, rotation, bounces, mirrorSeparation
+    });
+    gl.useProgram(program);
+    gl.uniform1f(uniforms.u_mirrorDist, mirrorDist);
+    gl.uniform1f(uniforms.u_mirrorHalfWidth, mirrorHalfWidth);
+    gl.uniform1f(uniforms.u_mirrorHalfHeight, mirrorHalfHeight);
+    gl.uniform1f(uniforms.u_imagePlaneDist, imagePlaneDist);
+    gl.uniform2f(uniforms.u_imageSize, imageSizeX, imageSizeY);
+    gl.uniform2f(uniforms.u_imageOffset, imageOffset[0], imageOffset[1]);
+    gl.uniform1f(uniforms.u_fov, fov * Math.PI / 180.0);
+    gl.uniform1f(uniforms.u_rotation, rotation * Math.PI / 180.0);
+    gl.uniform1i(uniforms.u_bounces, bounces);
+    gl.uniform1f(uniforms.u_mirrorSeparation, mirrorSeparation);
+    gl.uniform3f(uniforms.u_cameraPos, cameraPosition[0], cameraPosition[1], cameraPosition[2]);
+    gl.uniform1f(uniforms.u_cameraYaw, cameraYaw);
+    gl.uniform1f(uniforms.u_cameraPitch, cameraPitch);
+  }, [canvasRef, mirrorDist, mirrorHalfWidth, mirrorHalfHeight, imagePlaneDist, imageSizeX, imageSizeY, imageOffset, fov, cameraPosition, cameraYaw, cameraPitch, rotation, bounces, mirrorSeparation, glGeneration]);
+
+  // Mirror material
+  useEffect(() => {
+    const gl = glRef.current;
+    const program = shaderProgramRef.current;
+    const uniforms = uniformsRef.current;
+    if (!gl || !program || !uniforms) return;
+
+    console.log('[RayTracedMirror] Material:', material);
+    gl.useProgram(program);
+    gl.uniform3f(uniforms.u_tint, ...hexToRgb(material.tint));
+    gl.uniform1f(uniforms.u_reflectivity, material.reflectivity);
+    gl.uniform1f(uniforms.u_f0, material.f0);
+    gl.uniform1f(uniforms.u_roughness, material.roughness);
+    gl.uniform1f(uniforms.u_dirt, material.dirt);
+    gl.uniform1f(uniforms.u_edgeFade, material.edgeFade);
+    // Building mipmaps every frame costs, so only while the mirror is rough
+    useMipmapsRef.current = canMipmapRef.current && material.roughness > 0;
+  }, [canvasRef, material, glGeneration]);
+
+  // Render loop: per frame only the video upload and the draw
   useEffect(() => {
     console.log('[RayTracedMirror] Render loop effect triggered');
+    if (contextLost) return;
     const video = videoRef?.current;
     const gl = glRef.current;
     const canvas = canvasRef.current;
     const texture = textureRef.current;
     const program = shaderProgramRef.current;
+    const uniforms = uniformsRef.current;
 
     console.log('[RayTracedMirror] Render refs check:', {
       hasVideo: !!video,
@@ -136,63 +420,29 @@ export default function RayTracedMirror({
       hasCanvas: !!canvas,
       hasTexture: !!texture,
       hasProgram: !!program,
-      videoReady: video?.readyState,
-      videoWidth: video?.videoWidth,
-      videoHeight: video?.videoHeight
+      videoReady: isSourceReady(video),
+      ...(video && getSourceSize(video))
     });
 
-    if (!video || !gl || !canvas || !texture || !program) {
+    if (!video || !gl || !canvas || !texture || !program || !uniforms) {
       console.warn('[RayTracedMirror] Missing required refs, cannot start render loop');
       return;
     }
 
-    // Convert Bézier control points to polynomial coefficients for piecewise curve
-    const createSegmentsFromControlPoints = () => {
-      console.log('[RayTracedMirror] Converting curve segments:', curveSegments);
-      // Helper function to convert a single Bezier segment to polynomial coefficients
-      const bezierToPolynomial = (yMin, yMax, z0, z1, z2) => {
-        const yRange = yMax - yMin;
-        
-        if (yRange === 0.0) {
-          return { a: 0, b: 0, c: z0, yMin };
-        }
-        
-        // Quadratic Bézier parametric form: B(t) = (1-t)²·P₀ + 2(1-t)t·P₁ + t²·P₂, t ∈ [0,1]
-        // where t = (y - yMin) / yRange
-        
-        // Bézier coefficients in t-space:
-        // z(t) = a_t·t² + b_t·t + c_t
-        const a_t = z0 - 2.0 * z1 + z2;
-        const b_t = 2.0 * (z1 - z0);
-        const c_t = z0;
-        
-        // Convert to polynomial in y-space: z(y) = a·y² + b·y + c
-        // by substituting t = (y - yMin) / yRange and expanding
-        const a = a_t / (yRange * yRange);
-        const b = b_t / yRange - 2.0 * a_t * yMin / (yRange * yRange);
-        const c = c_t + a_t * yMin * yMin / (yRange * yRange) - b_t * yMin / yRange;
-        
-        return { a, b, c, yMin };
-      };
-      
-      // Convert all curve segments from Bezier to polynomial form
-      const result = curveSegments.map(seg => 
-        bezierToPolynomial(seg.yMin, seg.yMax, seg.z0, seg.z1, seg.z2)
-      );
-      console.log('[RayTracedMirror] Converted segments:', result);
-      return result;
-    };
-
     let animationFrameId;
     let frameCount = 0;
+    let viewportWidth = 0;
+    let viewportHeight = 0;
+    let mipmapped = false;
     
-    const render = () => {
+    const render = (timestamp) => {
       frameCount++;
       if (frameCount === 1 || frameCount % 60 === 0) {
-        console.log('[RayTracedMirror] Render frame', frameCount, 'video:', video.videoWidth, 'x', video.videoHeight);
+        const { width: sourceWidth, height: sourceHeight } = getSourceSize(video);
+        console.log('[RayTracedMirror] Render frame', frameCount, 'video:', sourceWidth, 'x', sourceHeight);
       }
       
-      if (video.videoWidth === 0 || video.videoHeight === 0) {
+      if (!isSourceReady(video)) {
         if (frameCount < 5) {
           console.log('[RayTracedMirror] Video not ready yet, waiting...');
         }
@@ -200,95 +450,32 @@ export default function RayTracedMirror({
         return;
       }
 
+      const frameStart = performance.now();
+
       // Only resize canvas if dimensions changed
       if (canvas.width !== width || canvas.height !== height) {
         canvas.width = width;
         canvas.height = height;
-        gl.viewport(0, 0, canvas.width, canvas.height);
         console.log('[RayTracedMirror] Canvas resized to', width, 'x', height);
       }
+      if (canvas.width !== viewportWidth || canvas.height !== viewportHeight) {
+        viewportWidth = canvas.width;
+        viewportHeight = canvas.height;
+        gl.viewport(0, 0, viewportWidth, viewportHeight);
+        gl.uniform2f(uniforms.u_resolution, viewportWidth, viewportHeight);
+      }
 
-      // Upload webcam frame to texture
+      // Upload webcam/file frame to texture
       gl.bindTexture(gl.TEXTURE_2D, texture);
       gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
-
-      gl.useProgram(program);
-      
-      // Set up vertex attributes
-      gl.bindBuffer(gl.ARRAY_BUFFER, gl.positionBuffer);
-      const aPosition = gl.getAttribLocation(program, 'a_position');
-      gl.enableVertexAttribArray(aPosition);
-      gl.vertexAttribPointer(aPosition, 2, gl.FLOAT, false, 0, 0);
-      
-      if (frameCount === 1) {
-        console.log('[RayTracedMirror] Attribute location a_position:', aPosition);
-      }
-      
-      // Set uniforms
-      const resolutionLoc = gl.getUniformLocation(program, 'u_resolution');
-      if (resolutionLoc) {
-        gl.uniform2f(resolutionLoc, canvas.width, canvas.height);
-      }
-      
-      if (frameCount === 1) {
-        console.log('[RayTracedMirror] Setting uniforms - resolution:', canvas.width, canvas.height);
-        console.log('[RayTracedMirror] Mirror parameters:', {
-          mirrorDist, mirrorHalfWidth, mirrorHalfHeight,
-          imagePlaneDist, imageSizeX, imageSizeY, fov
-        });
-      }
-      
-      // Set up bezier curve segments from control points
-      const segments = createSegmentsFromControlPoints();
-      
-      if (frameCount === 1) {
-        console.log('[RayTracedMirror] Polynomial segments for shader:', segments);
-        console.log('[RayTracedMirror] Number of segments:', segments.length);
-        if (segments.length > 16) {
-          console.warn('[RayTracedMirror] WARNING: Too many segments! Shader supports max 16, got', segments.length, '- truncating');
-        }
+      if (useMipmapsRef.current) {
+        gl.generateMipmap(gl.TEXTURE_2D);
       }
-      
-      // Limit to 16 segments (shader MAX_SEGMENTS)
-      const limitedSegments = segments.slice(0, 16);
-      
-      const segmentData = new Float32Array(16 * 4); // MAX_SEGMENTS = 16, vec4 per segment
-      for (let i = 0; i < limitedSegments.length; i++) {
-        segmentData[i * 4 + 0] = limitedSegments[i].a;
-        segmentData[i * 4 + 1] = limitedSegments[i].b;
-        segmentData[i * 4 + 2] = limitedSegments[i].c;
-        segmentData[i * 4 + 3] = limitedSegments[i].yMin;
-      }
-      
-      // Upload segments as uniform array
-      for (let i = 0; i < 16; i++) {
-        const loc = gl.getUniformLocation(program, `u_segments[${i}]`);
-        if (loc !== null) {
-          gl.uniform4f(loc, 
-            segmentData[i * 4 + 0],  // a
-            segmentData[i * 4 + 1],  // b
-            segmentData[i * 4 + 2],  // c
-            segmentData[i * 4 + 3]   // yMin
-          );
-        }
+      if (useMipmapsRef.current !== mipmapped) {
+        mipmapped = useMipmapsRef.current;
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, mipmapped ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
       }
-      
-      gl.uniform1i(gl.getUniformLocation(program, 'u_numSegments'), limitedSegments.length);
-      gl.uniform1f(gl.getUniformLocation(program, 'u_mirrorDist'), mirrorDist);
-      gl.uniform1f(gl.getUniformLocation(program, 'u_mirrorHalfWidth'), mirrorHalfWidth);
-      gl.uniform1f(gl.getUniformLocation(program, 'u_mirrorHalfHeight'), mirrorHalfHeight);
-      gl.uniform1f(gl.getUniformLocation(program, 'u_imagePlaneDist'), imagePlaneDist);
-      gl.uniform2f(gl.getUniformLocation(program, 'u_imageSize'), imageSizeX, imageSizeY);
-      gl.uniform1f(gl.getUniformLocation(program, 'u_fov'), fov * Math.PI / 180.0);
-      gl.uniform3f(gl.getUniformLocation(program, 'u_backgroundColor'), ...BACKGROUND_COLOR);
-      
-      // Bind webcam texture
-      gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, texture);
-      gl.uniform1i(gl.getUniformLocation(program, 'u_webcamTex'), 0);
-      
-      // Clear and draw
-      gl.clearColor(...BACKGROUND_COLOR, 1.0);
+
       gl.clear(gl.COLOR_BUFFER_BIT);
       gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
       
@@ -301,26 +488,39 @@ export default function RayTracedMirror({
         }
       }
 
+      frameStats?.record(timestamp, performance.now() - frameStart);
       animationFrameId = requestAnimationFrame(render);
     };
     
     console.log('[RayTracedMirror] Starting render loop...');
-    render();
+    animationFrameId = requestAnimationFrame(render);
     
     return () => {
       console.log('[RayTracedMirror] Stopping render loop');
       if (animationFrameId) {
         cancelAnimationFrame(animationFrameId);
       }
+      frameStats?.reset();
     };
-  }, [videoRef, curveSegments, mirrorDist, mirrorHalfWidth, mirrorHalfHeight, imagePlaneDist, imageSizeX, imageSizeY, fov, width, height]);
+  }, [videoRef, canvasRef, width, height, frameStats, contextLost, glGeneration]);
 
   return (
-    <canvas 
-      ref={canvasRef} 
-      width={width} 
-      height={height}
-      className="w-full h-auto max-h-full object-contain rounded-lg"
-    />
+    <>
+      <canvas 
+        ref={canvasRef} 
+        width={width} 
+        height={height}
+        className="w-full h-auto max-h-full object-contain rounded-lg"
+      />
+      {contextLost && (
+        <div
+          role="status"
+          className="absolute top-3 right-3 z-30 flex items-center gap-2 px-3 py-1 rounded-full bg-black/60 text-sm"
+        >
+          <span className="w-2.5 h-2.5 rounded-full bg-yellow-400 animate-pulse" />
+          Graphics reset, restoring mirror…
+        </div>
+      )}
+    </>
   );
 }
@@ -0,0 +1,59 @@
+/**
+ * Camera device and resolution choice, remembered in localStorage
+ */
+
+const STORAGE_KEY = 'mirroror.camera';
+
+export const RESOLUTIONS = {
+  '480p': { label: '480p (4:3)', width: 640, height: 480 },
+  '720p': { label: '720p (16:9)', width: 1280, height: 720 },
+  '1080p': { label: '1080p (16:9)', width: 1920, height: 1080 }
+};
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  deviceId: null, // null = browser default camera
+  resolution: '480p'
+};
+
+export function loadCameraSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved) return DEFAULT_CAMERA_SETTINGS;
+    return {
+      deviceId: typeof saved.deviceId === 'string' ? saved.deviceId : null,
+      resolution: RESOLUTIONS[saved.resolution] ? saved.resolution : DEFAULT_CAMERA_SETTINGS.resolution
+    };
+  } catch {
+    return DEFAULT_CAMERA_SETTINGS;
+  }
+}
+
+export function saveCameraSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('[cameraSettings] Could not remember camera choice:', err);
+  }
+}
+
+/**
+ * getUserMedia video constraints for the chosen camera
+ * @param {Object} settings - { deviceId, resolution }
+ * @param {boolean} useDevice - false to ignore deviceId (e.g. when it has gone away)
+ */
+export function buildVideoConstraints(settings, useDevice = true) {
+  const { width, height } = RESOLUTIONS[settings.resolution] || RESOLUTIONS[DEFAULT_CAMERA_SETTINGS.resolution];
+  const constraints = { width: { ideal: width }, height: { ideal: height } };
+  if (useDevice && settings.deviceId) {
+    constraints.deviceId = { exact: settings.deviceId };
+  }
+  return constraints;
+}
+
+/**
+ * Width / height of the chosen resolution
+ */
+export function getAspectRatio(settings) {
+  const { width, height } = RESOLUTIONS[settings.resolution] || RESOLUTIONS[DEFAULT_CAMERA_SETTINGS.resolution];
+  return width / height;
+}
@@ -0,0 +1,83 @@
+/**
+ * Camera lifecycle states and user-facing guidance for getUserMedia failures
+ */
+
+export const CAMERA_STATUS = {
+  IDLE: 'idle',
+  STARTING: 'starting',
+  LIVE: 'live',
+  PAUSED: 'paused', // track muted by the browser/OS, frames are frozen
+  RECONNECTING: 'reconnecting', // track ended unexpectedly, trying again
+  ERROR: 'error'
+};
+
+const ERROR_GUIDANCE = {
+  'not-found': {
+    title: 'No camera found',
+    steps: [
+      'Connect a webcam and click Try Again.',
+      'If one is connected, pick it under Camera Settings.'
+    ]
+  },
+  'denied': {
+    title: 'Camera access blocked',
+    steps: [
+      'Click the camera icon in the address bar and allow access.',
+      'Camera access needs HTTPS or localhost.'
+    ]
+  },
+  'in-use': {
+    title: 'Camera is busy',
+    steps: [
+      'Close other apps or tabs using the camera (video calls, other recorders).',
+      'Then click Try Again.'
+    ]
+  },
+  'ended': {
+    title: 'Camera disconnected',
+    steps: [
+      'The camera stopped sending video, it may have been unplugged.',
+      'Reconnect it and click Try Again.'
+    ]
+  },
+  'unsupported': {
+    title: 'Camera not available',
+    steps: ['This browser does not support camera access. Try a recent Chrome, Edge, Firefox or Safari.']
+  },
+  'unknown': {
+    title: 'Camera error',
+    steps: ['Click Try Again. If it keeps failing, reload the page.']
+  }
+};
+
+/**
+ * Classify a getUserMedia / playback error
+ * @returns {{ kind: string, title: string, steps: string[], message: string }}
+ */
+export function describeCameraError(err) {
+  let kind = 'unknown';
+  switch (err?.name) {
+    case 'NotFoundError':
+    case 'DevicesNotFoundError':
+    case 'OverconstrainedError':
+      kind = 'not-found';
+      break;
+    case 'NotAllowedError':
+    case 'PermissionDeniedError':
+    case 'SecurityError':
+      kind = 'denied';
+      break;
+    case 'NotReadableError':
+    case 'TrackStartError':
+    case 'AbortError':
+      kind = 'in-use';
+      break;
+    case 'TrackEndedError':
+      kind = 'ended';
+      break;
+    case 'TypeError':
+      if (!navigator.mediaDevices?.getUserMedia) kind = 'unsupported';
+      break;
+  }
+  return { kind, ...ERROR_GUIDANCE[kind], message: err?.message || '' };
+}
@@ -0,0 +1,74 @@
+/**
+ * Classic mirror distortion off the main thread (see ClassicMirrorViewport).
+ *
+ * Messages in:
+ *   { type: 'configure', curve, rotation, bilinear } - before the first frame
+ *     and whenever one of them changes
+ *   { type: 'frame', bitmap } - transferred ImageBitmap of the unmirrored source
+ * Messages out:
+ *   { type: 'frame', bitmap, workMs } - transferred ImageBitmap of the mirror
+ *   { type: 'skipped' } - frame arrived before any configure and was dropped
+ *   { type: 'unsupported', reason } - this browser can't draw in a worker
+ */
+import { createDisplacementMap, applyDisplacementMap } from './displacementMap.js';
+
+let canvas = null;
+let ctx = null;
+let config = null;
+let displacementMap = null;
+let outputData = null;
+
+function processFrame(bitmap) {
+  const start = performance.now();
+  const { width, height } = bitmap;
+
+  if (!canvas) {
+    canvas = new OffscreenCanvas(width, height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) {
+      bitmap.close();
+      self.postMessage({ type: 'unsupported', reason: 'no 2D context for OffscreenCanvas' });
+      return;
+    }
+  }
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+    displacementMap = null;
+  }
+
+  ctx.save();
+  ctx.scale(-1, 1);
+  ctx.drawImage(bitmap, -width, 0, width, height);
+  ctx.restore();
+  bitmap.close();
+
+  const imageData = ctx.getImageData(0, 0, width, height);
+  if (!displacementMap) {
+    displacementMap = createDisplacementMap(config.curve, config.rotation, width, height, config.bilinear);
+    outputData = new ImageData(width, height);
+  }
+  applyDisplacementMap(
+    displacementMap,
+    new Uint32Array(imageData.data.buffer),
+    new Uint32Array(outputData.data.buffer)
+  );
+  ctx.putImageData(outputData, 0, 0);
+
+  const result = canvas.transferToImageBitmap();
+  self.postMessage({ type: 'frame', bitmap: result, workMs: performance.now() - start }, [result]);
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'configure') {
+    config = data;
+    displacementMap = null;
+  } else if (data.type === 'frame') {
+    if (config) {
+      processFrame(data.bitmap);
+    } else {
+      data.bitmap.close();
+      self.postMessage({ type: 'skipped' });
+    }
+  }
+};
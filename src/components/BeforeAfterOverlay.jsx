@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getSourceSize, isSourceReady } from '../mediaSource.js';
+
+const KEY_STEP = 0.05;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Undistorted mirrored feed laid over the mirror's output canvas, shown up to
+ * a draggable divider so the two can be compared. The divider runs across
+ * the curve's profile: vertical (before on the left) at 0°/180°, horizontal
+ * (before on top) at 90°/270°.
+ */
+export default function BeforeAfterOverlay({ videoRef, targetCanvasRef, rotation, isActive }) {
+  const canvasRef = useRef(null);
+  const draggingRef = useRef(false);
+  const [split, setSplit] = useState(0.5);
+  const sideBySide = rotation === 0 || rotation === 180;
+
+  useEffect(() => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!isActive || !video || !canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    let animationId = null;
+
+    const render = () => {
+      if (isSourceReady(video)) {
+        // Match the output canvas so both are laid out identically
+        const { width, height } = targetCanvasRef?.current ?? getSourceSize(video);
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.save();
+        ctx.beginPath();
+        if (sideBySide) {
+          ctx.rect(0, 0, width * split, height);
+        } else {
+          ctx.rect(0, 0, width, height * split);
+        }
+        ctx.clip();
+        ctx.scale(-1, 1);
+        ctx.drawImage(video, -width, 0, width, height);
+        ctx.restore();
+
+        const lineWidth = Math.max(2, Math.round(width / 200));
+        const fontSize = Math.round(Math.min(width, height) * 0.05);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = lineWidth * 2;
+        if (sideBySide) {
+          ctx.fillRect(width * split - lineWidth / 2, 0, lineWidth, height);
+        } else {
+          ctx.fillRect(0, height * split - lineWidth / 2, width, lineWidth);
+        }
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText('Before', fontSize / 2, fontSize / 2);
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'right';
+        ctx.fillText('After', width - fontSize / 2, height - fontSize / 2);
+        ctx.shadowBlur = 0;
+      }
+      animationId = requestAnimationFrame(render);
+    };
+
+    animationId = requestAnimationFrame(render);
+    return () => cancelAnimationFrame(animationId);
+  }, [videoRef, targetCanvasRef, isActive, sideBySide, split]);
+
+  // Divider position under the pointer, allowing for object-contain letterboxing
+  const splitFromPointer = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+    const contentWidth = canvas.width * scale;
+    const contentHeight = canvas.height * scale;
+    return sideBySide
+      ? clamp01((e.clientX - rect.left - (rect.width - contentWidth) / 2) / contentWidth)
+      : clamp01((e.clientY - rect.top - (rect.height - contentHeight) / 2) / contentHeight);
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    // Keep the ray traced view's orbit controls from seeing this drag
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    draggingRef.current = true;
+    setSplit(splitFromPointer(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draggingRef.current) return;
+    setSplit(splitFromPointer(e));
+  };
+
+  const handlePointerUp = () => {
+    draggingRef.current = false;
+  };
+
+  const handleKeyDown = (e) => {
+    const change = {
+      ArrowLeft: -KEY_STEP,
+      ArrowUp: -KEY_STEP,
+      ArrowRight: KEY_STEP,
+      ArrowDown: KEY_STEP,
+      Home: -1,
+      End: 1
+    }[e.key];
+    if (change === undefined) return;
+    // The arrow keys also strafe the orbit camera
+    e.preventDefault();
+    e.stopPropagation();
+    setSplit(prev => clamp01(prev + change));
+  };
+
+  return (
+    <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+      <canvas
+        ref={canvasRef}
+        width="640"
+        height="480"
+        tabIndex={0}
+        role="slider"
+        aria-label="Before and after divider"
+        aria-orientation={sideBySide ? 'horizontal' : 'vertical'}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(split * 100)}
+        aria-valuetext={`${Math.round(split * 100)}% before`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onKeyDown={handleKeyDown}
+        className={`w-full h-auto max-h-full object-contain rounded-lg pointer-events-auto touch-none ${sideBySide ? 'cursor-ew-resize' : 'cursor-ns-resize'}`}
+      />
+    </div>
+  );
+}
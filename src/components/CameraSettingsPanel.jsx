@@ -0,0 +1,54 @@
+import React from 'react';
+import Button from './Button';
+import { RESOLUTIONS } from '../cameraSettings.js';
+
+/**
+ * Pick which camera to use and at what resolution
+ */
+export default function CameraSettingsPanel({ devices, settings, onChange, onClose }) {
+  const savedDeviceMissing = settings.deviceId && !devices.some(d => d.deviceId === settings.deviceId);
+
+  return (
+    <div className="flex flex-wrap items-end gap-4 px-5 py-4 rounded-2xl bg-black/60 border border-white/20 backdrop-blur-sm">
+      <label className="flex flex-col gap-1 text-sm">
+        Camera
+        <select
+          value={settings.deviceId || ''}
+          onChange={(e) => onChange({ ...settings, deviceId: e.target.value || null })}
+          className="px-2 py-2 rounded-lg bg-white/10 border border-white/30 text-white min-w-64"
+        >
+          <option value="" className="text-black">Default camera</option>
+          {devices.map((device, i) => (
+            <option key={`${i}:${device.deviceId}`} value={device.deviceId} className="text-black">
+              {device.label || `Camera ${i + 1}`}
+            </option>
+          ))}
+          {savedDeviceMissing && (
+            <option value={settings.deviceId} className="text-black">
+              Saved camera (not connected)
+            </option>
+          )}
+        </select>
+      </label>
+
+      <label className="flex flex-col gap-1 text-sm">
+        Resolution
+        <select
+          value={settings.resolution}
+          onChange={(e) => onChange({ ...settings, resolution: e.target.value })}
+          className="px-2 py-2 rounded-lg bg-white/10 border border-white/30 text-white"
+        >
+          {Object.entries(RESOLUTIONS).map(([key, { label }]) => (
+            <option key={key} value={key} className="text-black">
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <Button onClick={onClose} variant="ghost" className="px-3! py-1.5! text-sm!">
+        Close
+      </Button>
+    </div>
+  );
+}
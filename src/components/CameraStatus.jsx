@@ -0,0 +1,78 @@
+import React from 'react';
+import Button from './Button';
+import { CAMERA_STATUS } from '../cameraStatus.js';
+
+const BADGES = {
+  [CAMERA_STATUS.IDLE]: { label: 'Camera off', dot: 'bg-gray-400' },
+  [CAMERA_STATUS.STARTING]: { label: 'Starting camera…', dot: 'bg-yellow-400 animate-pulse' },
+  [CAMERA_STATUS.LIVE]: { label: 'Live', dot: 'bg-green-400' },
+  [CAMERA_STATUS.PAUSED]: { label: 'Camera paused', dot: 'bg-yellow-400' },
+  [CAMERA_STATUS.RECONNECTING]: { label: 'Reconnecting…', dot: 'bg-yellow-400 animate-pulse' },
+  [CAMERA_STATUS.ERROR]: { label: 'Camera error', dot: 'bg-red-500' }
+};
+
+const PERMISSION_LABELS = {
+  granted: 'Camera permission: allowed',
+  denied: 'Camera permission: blocked',
+  prompt: 'Camera permission: not yet asked'
+};
+
+/**
+ * Live/paused/error badge over the mirror viewport, and a recovery panel
+ * with guidance and a retry button when the camera isn't delivering frames.
+ * @param {string} status - one of CAMERA_STATUS
+ * @param {Object} error - from describeCameraError(), when status is ERROR
+ * @param {string|null} permission - from useCameraPermission()
+ */
+export default function CameraStatus({ status, error, permission, onRetry }) {
+  const badge = BADGES[status] || BADGES[CAMERA_STATUS.IDLE];
+  const showPanel = status !== CAMERA_STATUS.LIVE;
+
+  return (
+    <>
+      <div
+        role="status"
+        className="absolute top-3 left-3 z-30 flex items-center gap-2 px-3 py-1 rounded-full bg-black/60 text-sm"
+      >
+        <span className={`w-2.5 h-2.5 rounded-full ${badge.dot}`} />
+        {badge.label}
+      </div>
+
+      {showPanel && (
+        <div className="absolute inset-0 z-20 flex items-center justify-center bg-black/70 rounded-2xl">
+          <div className="flex flex-col items-center gap-3 max-w-md px-6 text-center">
+            {status === CAMERA_STATUS.ERROR && error ? (
+              <>
+                <h2 className="text-2xl font-semibold">{error.title}</h2>
+                <ul className="text-sm text-white/80 space-y-1">
+                  {error.steps.map(step => <li key={step}>{step}</li>)}
+                </ul>
+                {error.message && (
+                  <p className="text-xs text-white/50">{error.message}</p>
+                )}
+              </>
+            ) : status === CAMERA_STATUS.PAUSED ? (
+              <p className="text-white/80">
+                The camera has stopped sending frames. It may be covered, asleep, or in use by the system.
+              </p>
+            ) : (
+              <p className="text-white/80">{badge.label}</p>
+            )}
+
+            {permission && PERMISSION_LABELS[permission] && (
+              <p className={`text-xs ${permission === 'denied' ? 'text-red-300' : 'text-white/60'}`}>
+                {PERMISSION_LABELS[permission]}
+              </p>
+            )}
+
+            {(status === CAMERA_STATUS.ERROR || status === CAMERA_STATUS.PAUSED) && (
+              <Button onClick={onRetry} variant="primary" className="px-4! py-2! text-sm!">
+                Try Again
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import Button from './Button';
+import { useMirrorCurve } from '../contexts/MirrorCurveContext';
+import { DESIGNER_TYPES } from '../designers.js';
+import {
+  listDesigns,
+  saveDesign,
+  renameDesign,
+  duplicateDesign,
+  deleteDesign,
+  renderCurveThumbnail
+} from '../designLibrary.js';
+
+/**
+ * Panel for saving the current mirror under a name and loading it back later
+ */
+export default function DesignLibrary({ curveData, onClose }) {
+  const { points, xPoints, backPoints, middlePoint, designerType, loadDesign } = useMirrorCurve();
+  const [designs, setDesigns] = useState(() => listDesigns());
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [error, setError] = useState(null);
+
+  const refresh = () => setDesigns(listDesigns());
+
+  // localStorage throws when full or disabled (e.g. private browsing)
+  const runStorageAction = (action) => {
+    try {
+      action();
+      setError(null);
+    } catch (err) {
+      console.error('[DesignLibrary] Storage error:', err);
+      setError('Could not save to this browser\'s storage.');
+    }
+    refresh();
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    runStorageAction(() => {
+      saveDesign({
+        name: newName,
+        designerType,
+        points,
+        xPoints,
+        backPoints,
+        middlePoint,
+        thumbnail: renderCurveThumbnail(curveData)
+      });
+      setNewName('');
+    });
+  };
+
+  const handleLoad = (design) => {
+    loadDesign(design);
+    onClose();
+  };
+
+  const startRename = (design) => {
+    setEditingId(design.id);
+    setEditingName(design.name);
+  };
+
+  const commitRename = (e) => {
+    e.preventDefault();
+    runStorageAction(() => renameDesign(editingId, editingName));
+    setEditingId(null);
+  };
+
+  return (
+    <div className="absolute inset-0 z-40 flex flex-col gap-3 p-4 bg-slate-900/95 rounded-2xl">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-Circus tracking-widest text-yellow-300">Mirror Library</h2>
+        <Button onClick={onClose} variant="ghost" className="px-3! py-1.5! text-sm!">
+          Close
+        </Button>
+      </div>
+
+      <form onSubmit={handleSave} className="flex gap-2">
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Name this mirror"
+          className="flex-1 px-3 py-1.5 rounded-lg bg-white/10 border border-white/30 text-white placeholder-white/50"
+        />
+        <Button type="submit" variant="primary" className="px-3! py-1.5! text-sm!">
+          Save Current
+        </Button>
+      </form>
+
+      {error && <p className="text-sm text-red-300">{error}</p>}
+
+      <ul className="flex-1 overflow-y-auto flex flex-col gap-2">
+        {designs.length === 0 && (
+          <li className="text-white/60 text-sm">No saved mirrors yet.</li>
+        )}
+        {designs.map(design => (
+          <li key={design.id} className="flex items-center gap-3 p-2 rounded-lg bg-white/5">
+            {design.thumbnail ? (
+              <img src={design.thumbnail} alt="" className="w-24 h-18 rounded" />
+            ) : (
+              <div className="w-24 h-18 rounded bg-slate-300" />
+            )}
+
+            <div className="flex-1 min-w-0">
+              {editingId === design.id ? (
+                <form onSubmit={commitRename}>
+                  <input
+                    autoFocus
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    onBlur={commitRename}
+                    className="w-full px-2 py-1 rounded bg-white/10 border border-white/30 text-white"
+                  />
+                </form>
+              ) : (
+                <p className="truncate font-semibold">{design.name}</p>
+              )}
+              <p className="text-xs text-white/60">
+                {DESIGNER_TYPES[design.designerType]?.label || design.designerType}
+                {' · '}
+                {design.points.length} point{design.points.length === 1 ? '' : 's'}
+              </p>
+            </div>
+
+            <div className="flex gap-1">
+              <Button onClick={() => handleLoad(design)} variant="primary" className="px-2! py-1! text-xs!">
+                Load
+              </Button>
+              <Button onClick={() => startRename(design)} variant="ghost" className="px-2! py-1! text-xs!">
+                Rename
+              </Button>
+              <Button
+                onClick={() => runStorageAction(() => duplicateDesign(design.id))}
+                variant="ghost"
+                className="px-2! py-1! text-xs!"
+              >
+                Duplicate
+              </Button>
+              <Button
+                onClick={() => runStorageAction(() => deleteDesign(design.id))}
+                variant="ghost"
+                className="px-2! py-1! text-xs!"
+              >
+                Delete
+              </Button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React, { useState, useEffect } from 'react';
+
+const REFRESH_MS = 500;
+
+/**
+ * Small overlay with frame rate and frame times from a createFrameStats()
+ * collector. "CPU" is the time spent issuing each frame (main thread, plus
+ * the Classic mode worker when it has one); GPU work shows up in the frame
+ * interval instead.
+ */
+export default function FrameTimeHud({ frameStats, mode }) {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    const interval = setInterval(() => setStats(frameStats.summary()), REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [frameStats]);
+
+  if (!stats) return null;
+
+  return (
+    <div
+      className="absolute bottom-2 left-2 z-10 px-2 py-1 rounded bg-black/70 text-green-300 font-mono text-xs leading-tight pointer-events-none"
+      aria-live="off"
+    >
+      <div>{mode}</div>
+      <div>{stats.fps.toFixed(0)} fps · {stats.frameMs.toFixed(1)} ms</div>
+      <div>CPU {stats.workMs.toFixed(1)} ms · worst {stats.worstMs.toFixed(0)} ms</div>
+      <div>dropped {stats.dropped}</div>
+    </div>
+  );
+}
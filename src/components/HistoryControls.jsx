@@ -0,0 +1,55 @@
+import React, { useEffect } from 'react';
+import Button from './Button';
+import { useMirrorCurve } from '../contexts/MirrorCurveContext';
+
+/**
+ * Undo/Redo buttons for curve editing, plus Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac)
+ */
+export default function HistoryControls({ className = '' }) {
+  const { undo, redo, canUndo, canRedo } = useMirrorCurve();
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+      // Leave text fields their own native undo
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  return (
+    <div className={`flex gap-2 ${className}`}>
+      <Button
+        onClick={undo}
+        disabled={!canUndo}
+        variant="ghost"
+        className="px-3! py-1.5! text-sm!"
+        title="Undo (Ctrl+Z)"
+      >
+        ↶ Undo
+      </Button>
+      <Button
+        onClick={redo}
+        disabled={!canRedo}
+        variant="ghost"
+        className="px-3! py-1.5! text-sm!"
+        title="Redo (Ctrl+Shift+Z)"
+      >
+        ↷ Redo
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+import { useMirrorCurve } from '../contexts/MirrorCurveContext';
+import { MAX_BOUNCES, MAX_MIRROR_SEPARATION, minMirrorSeparation } from '../viewportSettings.js';
+
+/**
+ * Bounce count and mirror separation for the ray traced infinity tunnel.
+ * One bounce is the plain single mirror; the back mirror's shape is edited
+ * in the designer's "Back Mirror" tab.
+ */
+export default function InfinityTunnelControls() {
+  const { viewportSettings, setViewportSettings } = useMirrorCurve();
+  const { bounces, mirrorSeparation } = viewportSettings;
+  const tunnelOn = bounces > 1;
+  // The back mirror can't come any closer than the viewer's image plane
+  const minSeparation = Math.min(minMirrorSeparation(viewportSettings), MAX_MIRROR_SEPARATION);
+  const separation = Math.max(mirrorSeparation, minSeparation);
+
+  const update = (key) => (e) => {
+    const value = Number(e.target.value);
+    setViewportSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  return (
+    <div className="flex items-center gap-3 w-[720px] px-4 py-2 rounded-2xl bg-black/60 border border-white/20 text-sm">
+      <span className="font-semibold whitespace-nowrap">Infinity Tunnel</span>
+      <label className="flex items-center gap-2 flex-1">
+        Bounces
+        <input
+          type="range"
+          min={1}
+          max={MAX_BOUNCES}
+          step={1}
+          value={bounces}
+          onChange={update('bounces')}
+          className="flex-1 accent-red-500"
+        />
+        <span className="w-8 tabular-nums">{tunnelOn ? bounces : 'Off'}</span>
+      </label>
+      <label className={`flex items-center gap-2 flex-1 ${tunnelOn ? '' : 'opacity-50'}`}>
+        Separation
+        <input
+          type="range"
+          min={minSeparation}
+          max={MAX_MIRROR_SEPARATION}
+          step={0.5}
+          value={separation}
+          onChange={update('mirrorSeparation')}
+          disabled={!tunnelOn}
+          className="flex-1 accent-red-500"
+        />
+        <span className="w-10 tabular-nums">{separation.toFixed(1)}</span>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import Button from './Button';
+
+const formatTime = (seconds) => {
+  if (!Number.isFinite(seconds)) return '0:00';
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${s.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Play/pause and scrub bar for a video file used as the mirror source
+ */
+export default function MediaPlaybackControls({ videoRef, sourceKey }) {
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    const sync = () => {
+      setPlaying(!video.paused);
+      setCurrentTime(video.currentTime);
+      setDuration(Number.isFinite(video.duration) ? video.duration : 0);
+    };
+
+    const events = ['play', 'pause', 'timeupdate', 'loadedmetadata', 'durationchange', 'seeked'];
+    events.forEach(name => video.addEventListener(name, sync));
+    return () => events.forEach(name => video.removeEventListener(name, sync));
+  }, [videoRef, sourceKey]);
+
+  const togglePlay = () => {
+    const video = videoRef.current;
+    if (!video) return;
+    if (video.paused) {
+      video.play().catch(err => console.warn('[MediaPlaybackControls] play() failed:', err));
+    } else {
+      video.pause();
+    }
+  };
+
+  const handleScrub = (e) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.currentTime = Number(e.target.value);
+    setCurrentTime(video.currentTime);
+  };
+
+  return (
+    <div className="flex items-center gap-3 w-[720px] px-4 py-2 rounded-2xl bg-black/60 border border-white/20">
+      <Button onClick={togglePlay} variant="ghost" className="px-3! py-1.5! text-sm! w-20">
+        {playing ? '❚❚ Pause' : '▶ Play'}
+      </Button>
+      <input
+        type="range"
+        min={0}
+        max={duration || 0}
+        step={0.01}
+        value={Math.min(currentTime, duration || 0)}
+        onChange={handleScrub}
+        disabled={!duration}
+        aria-label="Seek"
+        className="flex-1 accent-red-500"
+      />
+      <span className="text-sm tabular-nums">
+        {formatTime(currentTime)} / {formatTime(duration)}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React, { useRef } from 'react';
+import Button from './Button';
+import { MEDIA_FILE_ACCEPT } from '../mediaSource.js';
+
+/**
+ * Switch the mirror between the live camera and a picked image/video file
+ * @param {Object|null} mediaSource - current file source, null for the camera
+ */
+export default function MediaSourcePicker({ mediaSource, onPickFile, onUseCamera }) {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    // Reset so picking the same file again still fires change
+    e.target.value = '';
+    if (file) onPickFile(file);
+  };
+
+  return (
+    <>
+      {mediaSource ? (
+        <Button onClick={onUseCamera} variant="ghost" title={mediaSource.name}>
+          Use Camera
+        </Button>
+      ) : null}
+      <Button onClick={() => fileInputRef.current?.click()} variant="ghost">
+        {mediaSource ? 'Change File' : 'Use Image/Video'}
+      </Button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={MEDIA_FILE_ACCEPT}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+    </>
+  );
+}
@@ -0,0 +1,73 @@
+import React, { useRef, useState } from 'react';
+import Button from './Button';
+import { useMirrorCurve } from '../contexts/MirrorCurveContext';
+import {
+  createMirrorFile,
+  parseMirrorFile,
+  MirrorFileError,
+  MIRROR_FILE_EXTENSION
+} from '../mirrorFile.js';
+import { downloadBlob, fileTimestamp } from '../download.js';
+
+/**
+ * Export/Import buttons for .mirror.json files
+ */
+export default function MirrorFileControls({ curveData }) {
+  const { points, xPoints, backPoints, middlePoint, designerType, viewportSettings, loadDesign } = useMirrorCurve();
+  const fileInputRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = () => {
+    const file = createMirrorFile({ designerType, points, xPoints, backPoints, middlePoint, curveData, viewportSettings });
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `mirror-${fileTimestamp()}${MIRROR_FILE_EXTENSION}`);
+    setError(null);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const design = parseMirrorFile(await file.text());
+      loadDesign(design);
+      setError(null);
+    } catch (err) {
+      if (err instanceof MirrorFileError) {
+        setError(`${file.name}: ${err.message}`);
+      } else {
+        console.error('[MirrorFileControls] Import failed:', err);
+        setError(`${file.name}: could not be read.`);
+      }
+    }
+  };
+
+  return (
+    <>
+      <Button onClick={handleExport} variant="ghost" className="px-3! py-1.5! text-sm!">
+        Export
+      </Button>
+      <Button onClick={() => fileInputRef.current?.click()} variant="ghost" className="px-3! py-1.5! text-sm!">
+        Import
+      </Button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={`${MIRROR_FILE_EXTENSION},application/json`}
+        onChange={handleImport}
+        className="hidden"
+      />
+      {error && (
+        <div
+          role="alert"
+          className="absolute top-full left-0 mt-2 max-w-md px-3 py-2 rounded-lg bg-red-600/90 text-sm text-white cursor-pointer"
+          onClick={() => setError(null)}
+        >
+          {error}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,66 @@
+import React from 'react';
+import Button from './Button';
+import { MATERIAL_PRESETS } from '../mirrorMaterial.js';
+
+const SLIDERS = [
+  { key: 'reflectivity', label: 'Reflectivity', max: 1 },
+  { key: 'f0', label: 'Fresnel F0', max: 1 },
+  { key: 'roughness', label: 'Roughness', max: 1 },
+  { key: 'dirt', label: 'Dirt', max: 1 },
+  { key: 'edgeFade', label: 'Edge fade', max: 0.5 }
+];
+
+/**
+ * Tint, reflectivity, Fresnel, roughness and dirt of the ray traced mirror,
+ * with a few ready-made looks
+ */
+export default function MirrorMaterialPanel({ material, onChange, onClose }) {
+  return (
+    <div className="flex flex-col gap-3 w-[720px] px-5 py-4 rounded-2xl bg-black/60 border border-white/20 backdrop-blur-sm text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold mr-1">Mirror Material</span>
+        {Object.entries(MATERIAL_PRESETS).map(([key, preset]) => (
+          <Button
+            key={key}
+            onClick={() => onChange(preset.material)}
+            variant="ghost"
+            className="px-3! py-1.5! text-sm!"
+          >
+            {preset.label}
+          </Button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-6 gap-y-2">
+        <label className="flex items-center gap-2">
+          <span className="w-24">Tint</span>
+          <input
+            type="color"
+            value={material.tint}
+            onChange={(e) => onChange({ ...material, tint: e.target.value })}
+            className="h-7 w-14 rounded bg-transparent"
+          />
+        </label>
+        {SLIDERS.map(({ key, label, max }) => (
+          <label key={key} className="flex items-center gap-2">
+            <span className="w-24">{label}</span>
+            <input
+              type="range"
+              min={0}
+              max={max}
+              step={0.01}
+              value={material[key]}
+              onChange={(e) => onChange({ ...material, [key]: Number(e.target.value) })}
+              className="flex-1 accent-red-500"
+            />
+            <span className="w-10 tabular-nums">{material[key].toFixed(2)}</span>
+          </label>
+        ))}
+      </div>
+
+      <Button onClick={onClose} variant="ghost" className="self-end px-3! py-1.5! text-sm!">
+        Close
+      </Button>
+    </div>
+  );
+}
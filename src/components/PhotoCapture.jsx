@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import Button from './Button';
+import { captureFrame } from '../photoCapture.js';
+import { downloadBlob, fileTimestamp } from '../download.js';
+
+const COUNTDOWN_OPTIONS = [0, 3, 5, 10];
+
+/**
+ * "Take Photo" control for the active mirror canvas, with an optional
+ * countdown and MIRROROR frame overlay. Shows a preview before download.
+ */
+export default function PhotoCapture({ canvasRef, disabled = false }) {
+  const [countdownSeconds, setCountdownSeconds] = useState(3);
+  const [withOverlay, setWithOverlay] = useState(true);
+  const [remaining, setRemaining] = useState(null);
+  const [photo, setPhoto] = useState(null); // { blob, url }
+  const [error, setError] = useState(null);
+
+  const takePhoto = async () => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    try {
+      const blob = await captureFrame(canvas, { withOverlay });
+      setPhoto({ blob, url: URL.createObjectURL(blob) });
+      setError(null);
+    } catch (err) {
+      console.error('[PhotoCapture] Capture failed:', err);
+      setError('Could not capture the mirror. Try again.');
+    }
+  };
+
+  // Tick the countdown once per second and fire when it reaches zero
+  useEffect(() => {
+    if (remaining === null) return;
+    if (remaining === 0) {
+      setRemaining(null);
+      takePhoto();
+      return;
+    }
+    const timeout = setTimeout(() => setRemaining(remaining - 1), 1000);
+    return () => clearTimeout(timeout);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [remaining]);
+
+  // Release the preview's object URL when it is replaced or closed
+  useEffect(() => {
+    if (!photo) return;
+    return () => URL.revokeObjectURL(photo.url);
+  }, [photo]);
+
+  const handleTakePhoto = () => {
+    if (countdownSeconds > 0) {
+      setRemaining(countdownSeconds);
+    } else {
+      takePhoto();
+    }
+  };
+
+  const handleDownload = () => {
+    downloadBlob(photo.blob, `mirroror-${fileTimestamp()}.png`);
+    setPhoto(null);
+  };
+
+  return (
+    <>
+      <div className="flex items-center gap-2">
+        <Button
+          onClick={handleTakePhoto}
+          disabled={disabled || remaining !== null}
+          className="bg-pink-500! hover:bg-pink-600!"
+          variant="primary"
+        >
+          {remaining !== null ? `${remaining}...` : 'Take Photo'}
+        </Button>
+        <select
+          value={countdownSeconds}
+          onChange={(e) => setCountdownSeconds(Number(e.target.value))}
+          aria-label="Photo countdown"
+          className="px-2 py-2 rounded-lg bg-white/10 border border-white/30 text-white"
+        >
+          {COUNTDOWN_OPTIONS.map(s => (
+            <option key={s} value={s} className="text-black">
+              {s === 0 ? 'No timer' : `${s}s timer`}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 text-sm">
+          <input
+            type="checkbox"
+            checked={withOverlay}
+            onChange={(e) => setWithOverlay(e.target.checked)}
+          />
+          Frame
+        </label>
+      </div>
+
+      {/* Big countdown over the whole page so visitors can see it from the mirror */}
+      {remaining !== null && remaining > 0 && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center pointer-events-none">
+          <span className="text-[12rem] font-Circus text-yellow-300 drop-shadow-[0_0_40px_rgba(255,200,0,0.9)]">
+            {remaining}
+          </span>
+        </div>
+      )}
+
+      {error && <p role="alert" className="text-sm text-red-300">{error}</p>}
+
+      {photo && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80">
+          <div className="flex flex-col items-center gap-4 p-6 rounded-3xl bg-white/10 border-4 border-red-500">
+            <img src={photo.url} alt="Mirror snapshot" className="max-w-[80vw] max-h-[70vh] rounded-lg" />
+            <div className="flex gap-3">
+              <Button onClick={handleDownload} className="bg-green-500! hover:bg-green-600!" variant="primary">
+                Download PNG
+              </Button>
+              <Button onClick={() => setPhoto(null)} variant="ghost">
+                Discard
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
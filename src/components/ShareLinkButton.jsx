@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react';
+import Button from './Button';
+import { useMirrorCurve } from '../contexts/MirrorCurveContext';
+import { buildShareUrl } from '../shareLink.js';
+
+/**
+ * Copies a link that reproduces the current mirror and view
+ * @param {Object} view - { isDone, useRayTracing, rotation } from App
+ */
+export default function ShareLinkButton({ view, className = '', variant = 'ghost' }) {
+  const { points, xPoints, backPoints, middlePoint, designerType, viewportSettings } = useMirrorCurve();
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const handleCopy = async () => {
+    const url = buildShareUrl({ designerType, points, xPoints, backPoints, middlePoint, viewportSettings, ...view });
+
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (err) {
+      // Clipboard API needs a secure context and permission; let the user copy by hand
+      console.warn('[ShareLinkButton] Clipboard unavailable:', err);
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  return (
+    <Button onClick={handleCopy} variant={variant} className={className}>
+      {copied ? 'Link Copied!' : 'Copy Link'}
+    </Button>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Button from './Button';
+import { isRecordingSupported, startCanvasRecording } from '../videoRecorder.js';
+import { downloadBlob, fileTimestamp } from '../download.js';
+
+const MAX_LENGTH_OPTIONS = [15, 30, 60];
+
+const formatDuration = (seconds) => {
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  return `${m}:${s.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Start/stop recording of the active mirror canvas with a length cap and
+ * a preview before download.
+ * sourceKey should change whenever the canvas element is swapped (e.g. ray
+ * traced vs classic), which ends the current recording.
+ */
+export default function VideoRecorder({ canvasRef, sourceKey, disabled = false }) {
+  const [maxLength, setMaxLength] = useState(30);
+  const [elapsed, setElapsed] = useState(null); // seconds while recording, else null
+  const [clip, setClip] = useState(null); // { blob, url }
+  const [error, setError] = useState(null);
+  const stopRef = useRef(null);
+
+  const isRecording = elapsed !== null;
+
+  const stopRecording = () => {
+    if (stopRef.current) {
+      stopRef.current();
+      stopRef.current = null;
+    }
+    setElapsed(null);
+  };
+
+  const startRecording = () => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    try {
+      stopRef.current = startCanvasRecording(canvas, (blob) => {
+        setClip({ blob, url: URL.createObjectURL(blob) });
+      });
+      setElapsed(0);
+      setError(null);
+    } catch (err) {
+      console.error('[VideoRecorder] Could not start recording:', err);
+      setError('Could not record the mirror. Try again.');
+    }
+  };
+
+  // Duration indicator, stopping automatically at the cap
+  useEffect(() => {
+    if (elapsed === null) return;
+    const timeout = setTimeout(() => {
+      if (elapsed + 1 >= maxLength) {
+        stopRecording();
+      } else {
+        setElapsed(elapsed + 1);
+      }
+    }, 1000);
+    return () => clearTimeout(timeout);
+  }, [elapsed, maxLength]);
+
+  // The captured stream dies with its canvas, so finish the clip when the
+  // viewport switches or this control goes away
+  useEffect(() => {
+    return () => {
+      if (stopRef.current) {
+        stopRef.current();
+        stopRef.current = null;
+      }
+      setElapsed(null);
+    };
+  }, [sourceKey]);
+
+  useEffect(() => {
+    if (!clip) return;
+    return () => URL.revokeObjectURL(clip.url);
+  }, [clip]);
+
+  const handleDownload = () => {
+    downloadBlob(clip.blob, `mirroror-${fileTimestamp()}.webm`);
+    setClip(null);
+  };
+
+  if (!isRecordingSupported()) {
+    return null;
+  }
+
+  return (
+    <>
+      <div className="flex items-center gap-2">
+        <Button
+          onClick={isRecording ? stopRecording : startRecording}
+          disabled={disabled && !isRecording}
+          className={isRecording ? 'bg-red-600! hover:bg-red-700! animate-pulse' : ''}
+          variant="primary"
+        >
+          {isRecording
+            ? `● Stop ${formatDuration(elapsed)} / ${formatDuration(maxLength)}`
+            : 'Record Video'}
+        </Button>
+        <select
+          value={maxLength}
+          onChange={(e) => setMaxLength(Number(e.target.value))}
+          disabled={isRecording}
+          aria-label="Maximum clip length"
+          className="px-2 py-2 rounded-lg bg-white/10 border border-white/30 text-white"
+        >
+          {MAX_LENGTH_OPTIONS.map(s => (
+            <option key={s} value={s} className="text-black">
+              max {s}s
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p role="alert" className="text-sm text-red-300">{error}</p>}
+
+      {clip && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80">
+          <div className="flex flex-col items-center gap-4 p-6 rounded-3xl bg-white/10 border-4 border-red-500">
+            <video src={clip.url} controls autoPlay loop className="max-w-[80vw] max-h-[70vh] rounded-lg" />
+            <div className="flex gap-3">
+              <Button onClick={handleDownload} className="bg-green-500! hover:bg-green-600!" variant="primary">
+                Download WebM
+              </Button>
+              <Button onClick={() => setClip(null)} variant="ghost">
+                Discard
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
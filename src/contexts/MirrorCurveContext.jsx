@@ -1,15 +1,180 @@
 import React, { createContext, useContext, useState, useRef } from 'react';
+import { DEFAULT_DESIGNER_TYPE, isDesignerType } from '../designers.js';
+import { DEFAULT_VIEWPORT_SETTINGS } from '../viewportSettings.js';
 
 const MirrorCurveContext = createContext(null);
 
-export function MirrorCurveProvider({ children }) {
-  const [points, setPoints] = useState([]);
-  const nextIdRef = useRef(0);
+// Oldest undo steps are dropped past this many
+const MAX_HISTORY = 100;
+
+// Profiles are the mirror's cross-sections: points is the vertical (Y) profile
+// every designer edits, xPoints the optional horizontal (X) profile that
+// bends the mirror along X too. An empty xPoints keeps the mirror flat along X.
+// backPoints is the vertical profile of the infinity tunnel's second mirror
+// (flat when empty).
+const PROFILE_KEYS = ['points', 'xPoints', 'backPoints'];
+
+// The symmetric designer's draggable middle point, or null for its default
+const toMiddlePoint = (point) => (point ? { x: point.x, y: point.y } : null);
+
+const toProfile = (list, firstId) => (list || [])
+  .map((p, i) => ({ x: p.x, y: p.y, id: firstId + i }))
+  .sort((a, b) => a.y - b.y);
+
+const snapshot = (state) => ({
+  points: state.points,
+  xPoints: state.xPoints,
+  backPoints: state.backPoints,
+  middlePoint: state.middlePoint
+});
+
+// initialDesign ({ designerType, points, xPoints, backPoints, middlePoint, viewportSettings }) seeds the
+// state, e.g. from a shared link, so the designer never renders the empty default.
+export function MirrorCurveProvider({ children, initialDesign = null }) {
+  // past/future hold earlier and undone versions of all profiles for undo/redo
+  const [curveState, setCurveState] = useState(() => ({
+    points: toProfile(initialDesign?.points, 0),
+    xPoints: toProfile(initialDesign?.xPoints, initialDesign?.points?.length || 0),
+    backPoints: toProfile(
+      initialDesign?.backPoints,
+      (initialDesign?.points?.length || 0) + (initialDesign?.xPoints?.length || 0)
+    ),
+    middlePoint: toMiddlePoint(initialDesign?.middlePoint),
+    past: [],
+    future: []
+  }));
+  const { points, xPoints, backPoints, middlePoint } = curveState;
+  // While a group is open (e.g. one drag), only its first change is recorded
+  const historyGroupRef = useRef({ active: false, recorded: false });
+  const [designerType, setDesignerType] = useState(
+    isDesignerType(initialDesign?.designerType) ? initialDesign.designerType : DEFAULT_DESIGNER_TYPE
+  );
+  const [viewportSettings, setViewportSettings] = useState(() => ({
+    ...DEFAULT_VIEWPORT_SETTINGS,
+    ...initialDesign?.viewportSettings
+  }));
+  const nextIdRef = useRef(
+    PROFILE_KEYS.reduce((count, key) => count + (initialDesign?.[key]?.length || 0), 0)
+  );
+
+  // Every change made through setPoints/setXPoints/setBackPoints/setMiddlePoint becomes an undo step
+  const updateProfile = (key, next) => {
+    const group = historyGroupRef.current;
+    const record = !(group.active && group.recorded);
+    if (group.active) group.recorded = true;
+
+    setCurveState(prev => {
+      const nextProfile = typeof next === 'function' ? next(prev[key]) : next;
+      if (!record) {
+        return { ...prev, [key]: nextProfile };
+      }
+      return {
+        ...snapshot(prev),
+        [key]: nextProfile,
+        past: [...prev.past, snapshot(prev)].slice(-MAX_HISTORY),
+        future: []
+      };
+    });
+  };
+
+  const setPoints = (next) => updateProfile('points', next);
+  const setXPoints = (next) => updateProfile('xPoints', next);
+  const setBackPoints = (next) => updateProfile('backPoints', next);
+  const setMiddlePoint = (next) => updateProfile('middlePoint', next);
+
+  // Coalesce the changes between begin and end into a single undo step
+  const beginHistoryGroup = () => {
+    historyGroupRef.current = { active: true, recorded: false };
+  };
+
+  const endHistoryGroup = () => {
+    historyGroupRef.current = { active: false, recorded: false };
+  };
+
+  // Abandon an open group, restoring the points from before it started
+  const cancelHistoryGroup = () => {
+    const { recorded } = historyGroupRef.current;
+    historyGroupRef.current = { active: false, recorded: false };
+    if (!recorded) return;
+
+    setCurveState(prev => ({
+      ...prev,
+      ...prev.past[prev.past.length - 1],
+      past: prev.past.slice(0, -1)
+    }));
+  };
+
+  const undo = () => {
+    setCurveState(prev => {
+      if (prev.past.length === 0) return prev;
+      return {
+        ...prev.past[prev.past.length - 1],
+        past: prev.past.slice(0, -1),
+        future: [snapshot(prev), ...prev.future]
+      };
+    });
+  };
+
+  const redo = () => {
+    setCurveState(prev => {
+      if (prev.future.length === 0) return prev;
+      return {
+        ...prev.future[0],
+        past: [...prev.past, snapshot(prev)],
+        future: prev.future.slice(1)
+      };
+    });
+  };
+
+  // Replace the current design with a saved one. Points coming from storage
+  // may be missing ids (MirrorCurveDesigner never assigns them), so re-id
+  // everything and move nextIdRef past the new ids.
+  // Designs saved before the X profile or back mirror existed load them flat,
+  // and those without a middle point use the symmetric designer's default.
+  const loadDesign = (design) => {
+    const loaded = {};
+    PROFILE_KEYS.forEach(key => {
+      loaded[key] = toProfile(design[key], nextIdRef.current);
+      nextIdRef.current += loaded[key].length;
+    });
+    // A stale or hand-edited library entry may name a designer that doesn't exist
+    if (design.designerType) {
+      setDesignerType(isDesignerType(design.designerType) ? design.designerType : DEFAULT_DESIGNER_TYPE);
+    }
+    if (design.viewportSettings) {
+      setViewportSettings({ ...DEFAULT_VIEWPORT_SETTINGS, ...design.viewportSettings });
+    }
+    // One undo step for all profiles
+    beginHistoryGroup();
+    setPoints(loaded.points);
+    setXPoints(loaded.xPoints);
+    setBackPoints(loaded.backPoints);
+    setMiddlePoint(toMiddlePoint(design.middlePoint));
+    endHistoryGroup();
+  };
 
   const value = {
     points,
     setPoints,
-    nextIdRef
+    xPoints,
+    setXPoints,
+    backPoints,
+    setBackPoints,
+    middlePoint,
+    setMiddlePoint,
+    nextIdRef,
+    undo,
+    redo,
+    canUndo: curveState.past.length > 0,
+    canRedo: curveState.future.length > 0,
+    beginHistoryGroup,
+    endHistoryGroup,
+    cancelHistoryGroup,
+    designerType,
+    setDesignerType,
+    viewportSettings,
+    setViewportSettings,
+    loadDesign
   };
 
   return (
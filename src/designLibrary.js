@@ -0,0 +1,129 @@
+/**
+ * Local library of named mirror designs, persisted to localStorage.
+ * A design is { id, name, designerType, points, xPoints, backPoints, middlePoint, thumbnail, createdAt, updatedAt }.
+ * middlePoint is the symmetric designer's middle point, or null for its default.
+ */
+
+const STORAGE_KEY = 'mirroror.designs';
+
+const THUMB_WIDTH = 96;
+const THUMB_HEIGHT = 72;
+
+function readAll() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error('[designLibrary] Failed to read designs:', err);
+    return [];
+  }
+}
+
+function writeAll(designs) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(designs));
+}
+
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Draw the curve from an onCurveChange payload into a small PNG data URL
+ * @param {Object} curveData - { lineSegments, bounds }
+ * @returns {string|null} Data URL, or null if there is nothing to draw
+ */
+export function renderCurveThumbnail(curveData) {
+  if (!curveData || !curveData.lineSegments || curveData.lineSegments.length === 0) {
+    return null;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMB_WIDTH;
+  canvas.height = THUMB_HEIGHT;
+  const ctx = canvas.getContext('2d');
+
+  // Designer canvases are 800x600, so scale them down uniformly
+  const scale = THUMB_WIDTH / 800;
+
+  ctx.fillStyle = '#cbd5e1';
+  ctx.fillRect(0, 0, THUMB_WIDTH, THUMB_HEIGHT);
+
+  const { bounds } = curveData;
+  ctx.strokeStyle = '#94a3b8';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(bounds.x * scale, bounds.yTop * scale);
+  ctx.lineTo(bounds.x * scale, bounds.yBottom * scale);
+  ctx.stroke();
+
+  ctx.strokeStyle = '#334155';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  curveData.lineSegments.forEach((seg, i) => {
+    if (i === 0) ctx.moveTo(seg.x1 * scale, seg.y1 * scale);
+    ctx.lineTo(seg.x2 * scale, seg.y2 * scale);
+  });
+  ctx.stroke();
+
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * List saved designs, most recently updated first
+ */
+export function listDesigns() {
+  return readAll().sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Save the current design under a name
+ * @param {Object} design - { name, designerType, points, xPoints, backPoints, middlePoint, thumbnail }
+ * @returns {Object} The stored design
+ */
+export function saveDesign({ name, designerType, points, xPoints = [], backPoints = [], middlePoint = null, thumbnail }) {
+  const now = Date.now();
+  const design = {
+    id: createId(),
+    name: name.trim() || 'Untitled Mirror',
+    designerType,
+    points: points.map(p => ({ x: p.x, y: p.y })),
+    xPoints: xPoints.map(p => ({ x: p.x, y: p.y })),
+    backPoints: backPoints.map(p => ({ x: p.x, y: p.y })),
+    middlePoint: middlePoint ? { x: middlePoint.x, y: middlePoint.y } : null,
+    thumbnail: thumbnail || null,
+    createdAt: now,
+    updatedAt: now
+  };
+  writeAll([...readAll(), design]);
+  return design;
+}
+
+export function renameDesign(id, name) {
+  const trimmed = name.trim();
+  if (!trimmed) return;
+  writeAll(readAll().map(d => (
+    d.id === id ? { ...d, name: trimmed, updatedAt: Date.now() } : d
+  )));
+}
+
+export function duplicateDesign(id) {
+  const designs = readAll();
+  const original = designs.find(d => d.id === id);
+  if (!original) return null;
+
+  const now = Date.now();
+  const copy = {
+    ...original,
+    id: createId(),
+    name: `${original.name} (copy)`,
+    createdAt: now,
+    updatedAt: now
+  };
+  writeAll([...designs, copy]);
+  return copy;
+}
+
+export function deleteDesign(id) {
+  writeAll(readAll().filter(d => d.id !== id));
+}
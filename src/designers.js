@@ -0,0 +1,15 @@
+/**
+ * Designer types that can author a mirror curve.
+ * The key is what gets stored with a saved design; App maps it to a component.
+ */
+export const DESIGNER_TYPES = {
+  hybrid: { label: 'Hybrid Bezier' },
+  symmetric: { label: 'Symmetric Spline' },
+  asymmetric: { label: 'Asymmetric Bezier' }
+};
+
+export const DEFAULT_DESIGNER_TYPE = 'hybrid';
+
+export function isDesignerType(type) {
+  return Object.prototype.hasOwnProperty.call(DESIGNER_TYPES, type);
+}
@@ -0,0 +1,67 @@
+/**
+ * Procedural dirt overlay for the mirror material: red channel holds soft
+ * smudges, green fine scratches. Seeded, so every mirror gets the same grime
+ * and it doesn't shimmer between rebuilds (e.g. after a context loss).
+ */
+
+const DIRT_SEED = 1337;
+
+// Small deterministic PRNG (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @param {number} size - Width and height in pixels (a power of two)
+ * @returns {HTMLCanvasElement} Canvas to upload as a texture
+ */
+export function createDirtCanvas(size = 256) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const random = createRandom(DIRT_SEED);
+
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, size, size);
+  ctx.globalCompositeOperation = 'lighter';
+
+  // Smudges: soft blobs, denser towards the edges where hands touch
+  for (let i = 0; i < 60; i++) {
+    const edgeBias = random() < 0.6;
+    const x = edgeBias ? (random() < 0.5 ? random() * 0.2 : 0.8 + random() * 0.2) * size : random() * size;
+    const y = random() * size;
+    const radius = (0.03 + random() * 0.12) * size;
+    const strength = Math.round(20 + random() * 60);
+    const blob = ctx.createRadialGradient(x, y, 0, x, y, radius);
+    blob.addColorStop(0, `rgb(${strength}, 0, 0)`);
+    blob.addColorStop(1, 'rgb(0, 0, 0)');
+    ctx.fillStyle = blob;
+    ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+  }
+
+  // Scratches: thin, mostly short straight strokes
+  ctx.lineCap = 'round';
+  for (let i = 0; i < 40; i++) {
+    const x = random() * size;
+    const y = random() * size;
+    const angle = random() * Math.PI;
+    const length = (0.02 + random() * 0.15) * size;
+    const strength = Math.round(60 + random() * 140);
+    ctx.strokeStyle = `rgb(0, ${strength}, 0)`;
+    ctx.lineWidth = 0.5 + random();
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+    ctx.stroke();
+  }
+
+  return canvas;
+}
@@ -0,0 +1,121 @@
+/**
+ * Precomputed lookup table for the Classic (CPU) mirror. The distortion only
+ * shifts each row (or column, when rotated 90°/270°) of the mirrored camera
+ * frame by an amount that depends on the curve, so where every output pixel
+ * comes from is worked out once per curve, rotation and frame size. Each
+ * frame is then a flat copy between Uint32Array views of the pixel buffers.
+ */
+
+// Bilinear weights are fixed point, 0–256
+const WEIGHT_ONE = 256;
+// Half of WEIGHT_ONE in both lanes of a two-channel blend
+const ROUND_HALF = 0x800080;
+
+// Curve X at curveY, or bounds.x (no bulge) outside every segment
+function curveXAt(curve, curveY) {
+  for (const seg of curve.lineSegments) {
+    const minY = Math.min(seg.y1, seg.y2);
+    const maxY = Math.max(seg.y1, seg.y2);
+
+    if (curveY >= minY && curveY <= maxY) {
+      const t = (curveY - seg.y1) / (seg.y2 - seg.y1 || 1);
+      return seg.x1 + t * (seg.x2 - seg.x1);
+    }
+  }
+  return curve.bounds.x;
+}
+
+/**
+ * @param {object} curve - curveData from the designer ({ bounds, lineSegments })
+ * @param {number} rotation - 0, 90, 180 or 270 degrees
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {boolean} bilinear - Blend the two nearest source pixels instead of
+ *   picking one, which smooths the stair-stepping along stretched edges
+ * @returns {object} Map for applyDisplacementMap
+ */
+export function createDisplacementMap(curve, rotation, width, height, bilinear = false) {
+  const { bounds } = curve;
+  const yRange = bounds.yBottom - bounds.yTop;
+  const xRange = bounds.x;
+
+  // 0°/180° shift rows along X; 90°/270° shift columns along Y
+  const shiftsRows = rotation === 0 || rotation === 180;
+  const lineCount = shiftsRows ? height : width;
+  const lineLength = shiftsRows ? width : height;
+  const reversed = rotation === 180 || rotation === 270;
+  const sign = reversed ? 1 : -1;
+
+  const pixelCount = width * height;
+  const sourceIndex = new Int32Array(pixelCount);
+  const nextIndex = bilinear ? new Int32Array(pixelCount) : null;
+  const weight = bilinear ? new Uint16Array(pixelCount) : null;
+
+  for (let line = 0; line < lineCount; line++) {
+    const along = reversed ? lineCount - line : line;
+    const curveY = bounds.yTop + (along / lineCount) * yRange;
+    const offset = (bounds.x - curveXAt(curve, curveY)) / xRange;
+    const shift = sign * offset * lineLength * 0.5;
+    // Source = target + shift along the line, so the split into a whole
+    // pixel step and a blend fraction is the same for the whole line
+    const step = Math.floor(shift);
+    const lineWeight = Math.round((shift - step) * WEIGHT_ONE);
+
+    for (let pos = 0; pos < lineLength; pos++) {
+      const target = shiftsRows ? line * width + pos : pos * width + line;
+      const source = pos + step;
+
+      if (source < 0 || source >= lineLength) {
+        sourceIndex[target] = -1;
+        continue;
+      }
+
+      const sourcePixel = shiftsRows ? line * width + source : source * width + line;
+      sourceIndex[target] = sourcePixel;
+
+      if (bilinear) {
+        // At the far edge the second tap would fall off the frame; reuse the first
+        const next = source + 1 < lineLength ? source + 1 : source;
+        nextIndex[target] = shiftsRows ? line * width + next : next * width + line;
+        weight[target] = lineWeight;
+      }
+    }
+  }
+
+  return { width, height, bilinear, sourceIndex, nextIndex, weight };
+}
+
+/**
+ * Fill target from source through the map. Both are Uint32Array views of
+ * RGBA ImageData buffers (one element per pixel); pixels that come from
+ * outside the frame are left transparent.
+ */
+export function applyDisplacementMap(map, source, target) {
+  const { sourceIndex, nextIndex, weight } = map;
+  const pixelCount = sourceIndex.length;
+
+  if (!map.bilinear) {
+    for (let i = 0; i < pixelCount; i++) {
+      const s = sourceIndex[i];
+      target[i] = s < 0 ? 0 : source[s];
+    }
+    return;
+  }
+
+  for (let i = 0; i < pixelCount; i++) {
+    const s = sourceIndex[i];
+    if (s < 0) {
+      target[i] = 0;
+      continue;
+    }
+    const a = source[s];
+    const b = source[nextIndex[i]];
+    const wb = weight[i];
+    const wa = WEIGHT_ONE - wb;
+    // Blend two channels at a time (red/blue, then green/alpha), rounding
+    // to nearest; each 8-bit lane has room for the 8 fractional bits
+    const rb = (((a & 0xff00ff) * wa + (b & 0xff00ff) * wb + ROUND_HALF) >>> 8) & 0xff00ff;
+    const ga = (((a >>> 8) & 0xff00ff) * wa + ((b >>> 8) & 0xff00ff) * wb + ROUND_HALF) & 0xff00ff00;
+    target[i] = rb | ga;
+  }
+}
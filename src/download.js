@@ -0,0 +1,19 @@
+/**
+ * Save a Blob to the user's downloads under the given file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Timestamp suitable for file names, e.g. 2026-02-14_18-30-05
+ */
+export function fileTimestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+}
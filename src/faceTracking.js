@@ -0,0 +1,110 @@
+/**
+ * Face-driven mirror placement for the ray traced view. Faces come from the
+ * browser's built-in FaceDetector (Shape Detection API), which runs on the
+ * device, so nothing is downloaded or sent anywhere.
+ *
+ * A face is { x, y, size }: the centre of its bounding box as a fraction of
+ * the camera frame (0–1, y down, not mirrored) and its height as a fraction
+ * of the frame height.
+ */
+import { MIN_MIRROR_DIST, MAX_MIRROR_DIST } from './viewportSettings.js';
+
+// Face height (share of the frame) at which the chosen mirrorDist is used as is
+const REFERENCE_FACE_SIZE = 0.3;
+
+// Share of each new detection mixed into the running face, to steady the jitter
+const FACE_SMOOTHING = 0.3;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export function isFaceDetectionSupported() {
+  return typeof window !== 'undefined' && 'FaceDetector' in window;
+}
+
+/**
+ * Largest detected face, normalized to the frame, or null
+ * @param {Array} faces - DetectedFace results from FaceDetector.detect()
+ */
+export function pickFace(faces, frameWidth, frameHeight) {
+  if (!faces.length || !frameWidth || !frameHeight) return null;
+  const { boundingBox: box } = faces.reduce((best, face) =>
+    face.boundingBox.width * face.boundingBox.height > best.boundingBox.width * best.boundingBox.height ? face : best
+  );
+  return {
+    x: (box.x + box.width / 2) / frameWidth,
+    y: (box.y + box.height / 2) / frameHeight,
+    size: box.height / frameHeight
+  };
+}
+
+export function smoothFace(previous, next) {
+  if (!previous) return next;
+  const mix = (a, b) => a + (b - a) * FACE_SMOOTHING;
+  return { x: mix(previous.x, next.x), y: mix(previous.y, next.y), size: mix(previous.size, next.size) };
+}
+
+/**
+ * Middle of the segment that bends hardest, along the profile's axis.
+ * Segments are RayTracedMirror's { yMin, yMax, z0, z1, z2 }; a flat or empty
+ * profile gives 0, the mirror's centre.
+ */
+export function strongestCurvatureAt(segments) {
+  let best = 0;
+  let bestCurvature = 0;
+  for (const { yMin, yMax, z0, z1, z2 } of segments) {
+    const range = yMax - yMin;
+    if (range <= 0) continue;
+    // d²z/dy² of a quadratic Bézier whose y runs linearly along the segment
+    const curvature = Math.abs(2 * (z0 - 2 * z1 + z2)) / (range * range);
+    if (curvature > bestCurvature) {
+      bestCurvature = curvature;
+      best = (yMin + yMax) / 2;
+    }
+  }
+  return best;
+}
+
+/**
+ * Mirror distance and webcam image offset that put a face behind the
+ * mirror's strongest bend.
+ *
+ * Smaller faces (children, or anyone further back) move the mirror further
+ * away, which enlarges their reflection; larger faces bring it closer. The
+ * chosen mirrorDist is the distance for a face of REFERENCE_FACE_SIZE.
+ *
+ * The offset shifts the image plane so the face lands where the bend's
+ * reflection meets it; that spot is worked out as for a flat mirror, which
+ * is close enough to aim with.
+ * @returns {{ mirrorDist: number, imageOffset: number[] }}
+ */
+export function placeMirrorOnFace(face, scene) {
+  const { mirrorDist, imagePlaneDist, imageSizeX, imageSizeY, rotation, curveSegments, xCurveSegments } = scene;
+
+  const dist = clamp(mirrorDist * REFERENCE_FACE_SIZE / Math.max(face.size, 0.01), MIN_MIRROR_DIST, MAX_MIRROR_DIST);
+
+  // A ray from the camera to height h on a flat mirror at dist reaches the
+  // image plane at h·(2·dist + imagePlaneDist) / dist
+  const spread = (2 * dist + imagePlaneDist) / dist;
+  const targetX = strongestCurvatureAt(xCurveSegments) * spread;
+  const targetY = strongestCurvatureAt(curveSegments) * spread;
+
+  // Mirror frame to world (the shader's toWorld)
+  const angle = rotation * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const worldX = cos * targetX + sin * targetY;
+  const worldY = -sin * targetX + cos * targetY;
+
+  // The shader maps image plane point p to webcam uv 0.5 - (p - offset) / size
+  // (mirrored in x, y down), so the face at uv (x, y) lands on the target with:
+  const offsetX = worldX - (0.5 - face.x) * imageSizeX;
+  const offsetY = worldY - (0.5 - face.y) * imageSizeY;
+
+  return {
+    mirrorDist: dist,
+    imageOffset: [
+      clamp(offsetX, -imageSizeX / 2, imageSizeX / 2),
+      clamp(offsetY, -imageSizeY / 2, imageSizeY / 2)
+    ]
+  };
+}
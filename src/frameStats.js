@@ -0,0 +1,65 @@
+/**
+ * Rolling frame timing for the viewport renderers, read by the frame-time HUD
+ */
+
+// Frames kept in the rolling window (about two seconds at 60 fps)
+const WINDOW_SIZE = 120;
+
+// A frame interval this much longer than the typical one counts as dropped
+const DROPPED_FRAME_FACTOR = 1.5;
+
+const average = (values) =>
+  values.length === 0 ? 0 : values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((p, q) => p - q);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Collector shared between a renderer (which records) and the HUD (which reads)
+ */
+export function createFrameStats() {
+  let intervals = [];
+  let workTimes = [];
+  let lastTimestamp = null;
+
+  return {
+    /**
+     * @param {number} timestamp - requestAnimationFrame timestamp of the frame
+     * @param {number} workMs - CPU time spent producing the frame (main thread or worker)
+     */
+    record(timestamp, workMs) {
+      if (lastTimestamp !== null) {
+        intervals.push(timestamp - lastTimestamp);
+        if (intervals.length > WINDOW_SIZE) intervals.shift();
+      }
+      lastTimestamp = timestamp;
+      workTimes.push(workMs);
+      if (workTimes.length > WINDOW_SIZE) workTimes.shift();
+    },
+
+    /** Forget the window, e.g. when the render loop restarts */
+    reset() {
+      intervals = [];
+      workTimes = [];
+      lastTimestamp = null;
+    },
+
+    /**
+     * @returns {{ fps: number, frameMs: number, workMs: number, worstMs: number, dropped: number }}
+     */
+    summary() {
+      const frameMs = average(intervals);
+      const typical = median(intervals);
+      return {
+        fps: frameMs > 0 ? 1000 / frameMs : 0,
+        frameMs,
+        workMs: average(workTimes),
+        worstMs: intervals.length ? Math.max(...intervals) : 0,
+        dropped: intervals.filter(ms => ms > typical * DROPPED_FRAME_FACTOR).length
+      };
+    }
+  };
+}
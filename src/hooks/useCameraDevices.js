@@ -0,0 +1,38 @@
+import { useState, useEffect, useCallback } from 'react';
+
+async function listVideoInputs() {
+  try {
+    const all = await navigator.mediaDevices.enumerateDevices();
+    // Before camera permission every camera is listed with an empty deviceId,
+    // which can't select it; only "Default camera" is usable until then
+    return all.filter(d => d.kind === 'videoinput' && d.deviceId);
+  } catch (err) {
+    console.error('[useCameraDevices] enumerateDevices failed:', err);
+    return [];
+  }
+}
+
+/**
+ * Video input devices, kept up to date as cameras are plugged in or removed.
+ * IDs and labels are empty until the page has camera permission, so call
+ * refresh() once a stream has started.
+ */
+export function useCameraDevices() {
+  const [devices, setDevices] = useState([]);
+
+  const refresh = useCallback(() => {
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+    listVideoInputs().then(setDevices);
+  }, []);
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices) return;
+
+    listVideoInputs().then(setDevices);
+    mediaDevices.addEventListener('devicechange', refresh);
+    return () => mediaDevices.removeEventListener('devicechange', refresh);
+  }, [refresh]);
+
+  return { devices, refresh };
+}
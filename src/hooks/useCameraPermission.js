@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Camera permission state from the Permissions API: 'granted', 'denied',
+ * 'prompt', or null where the browser can't report it (e.g. Firefox).
+ * Updates live when the user changes the site setting.
+ */
+export function useCameraPermission() {
+  const [permission, setPermission] = useState(null);
+
+  useEffect(() => {
+    if (!navigator.permissions?.query) return;
+
+    let status = null;
+    let cancelled = false;
+    const handleChange = () => setPermission(status.state);
+
+    navigator.permissions.query({ name: 'camera' })
+      .then((result) => {
+        if (cancelled) return;
+        status = result;
+        setPermission(result.state);
+        status.addEventListener('change', handleChange);
+      })
+      .catch((err) => {
+        // 'camera' isn't a queryable permission name in every browser
+        console.warn('[useCameraPermission] Permission query unavailable:', err);
+      });
+
+    return () => {
+      cancelled = true;
+      status?.removeEventListener('change', handleChange);
+    };
+  }, []);
+
+  return permission;
+}
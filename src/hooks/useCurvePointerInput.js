@@ -0,0 +1,147 @@
+import { useRef, useEffect, useLayoutEffect } from 'react';
+
+/**
+ * Pointer Events input for the curve designer canvases (mouse, touch and pen).
+ *
+ * Gestures:
+ *   - tap on empty canvas        → onTap(e)
+ *   - press on a point and drag  → onPress(e) returns true, then onDrag(e)…, onRelease()
+ *   - long-press on a point      → onDelete(e)  (touch/pen stand-in for right-click)
+ *   - right-click / pen barrel   → onDelete(e)
+ *   - second finger during drag  → onCancel(), the drag should be reverted
+ *
+ * Returns props to spread onto the <canvas>. The canvas also needs
+ * `touch-action: none` so the browser doesn't scroll or zoom instead.
+ */
+
+const LONG_PRESS_MS = 600;
+
+// How far (CSS px) a pointer may wander before a press becomes a drag
+const DRAG_SLOP = { mouse: 3, pen: 6, touch: 10 };
+
+// Point hit radius in canvas units; fingers need a much bigger target
+const HIT_RADIUS = { mouse: 12, pen: 18, touch: 28 };
+
+export function getPointerHitRadius(e) {
+  return HIT_RADIUS[e.pointerType] || HIT_RADIUS.mouse;
+}
+
+export function useCurvePointerInput(handlers) {
+  const handlersRef = useRef(handlers);
+  const activePointersRef = useRef(new Set());
+  const gestureRef = useRef(null);
+  const lastPointerTypeRef = useRef('mouse');
+  const lastSecondaryPressRef = useRef(false);
+
+  // Always call the latest handlers, which close over the latest points
+  useLayoutEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  const clearLongPress = (gesture) => {
+    if (gesture?.longPressTimer) {
+      clearTimeout(gesture.longPressTimer);
+      gesture.longPressTimer = null;
+    }
+  };
+
+  // A press still held when the designer goes away (Done, profile switch)
+  // must not fire its long-press against the unmounted designer
+  useEffect(() => () => clearLongPress(gestureRef.current), []);
+
+  const cancelGesture = () => {
+    const gesture = gestureRef.current;
+    if (!gesture || gesture.cancelled) return;
+    clearLongPress(gesture);
+    gesture.cancelled = true;
+    if (gesture.onPoint) handlersRef.current.onCancel?.();
+  };
+
+  const onPointerDown = (e) => {
+    lastPointerTypeRef.current = e.pointerType;
+    lastSecondaryPressRef.current = e.button !== 0;
+    // Secondary buttons (right-click, pen barrel) are handled by onContextMenu
+    if (e.button !== 0) return;
+
+    activePointersRef.current.add(e.pointerId);
+    if (activePointersRef.current.size > 1) {
+      // Two-finger touch cancels whatever the first finger was doing
+      cancelGesture();
+      return;
+    }
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const onPoint = handlersRef.current.onPress?.(e) === true;
+    const gesture = {
+      pointerId: e.pointerId,
+      pointerType: e.pointerType,
+      startX: e.clientX,
+      startY: e.clientY,
+      moved: false,
+      onPoint,
+      cancelled: false,
+      longPressTimer: null
+    };
+
+    // Mouse users have right-click, and often pause before dragging
+    if (onPoint && e.pointerType !== 'mouse') {
+      gesture.longPressTimer = setTimeout(() => {
+        gesture.longPressTimer = null;
+        gesture.cancelled = true;
+        handlersRef.current.onRelease?.();
+        handlersRef.current.onDelete?.(e);
+      }, LONG_PRESS_MS);
+    }
+
+    gestureRef.current = gesture;
+  };
+
+  const onPointerMove = (e) => {
+    const gesture = gestureRef.current;
+    if (!gesture || gesture.cancelled || gesture.pointerId !== e.pointerId) return;
+
+    if (!gesture.moved) {
+      const slop = DRAG_SLOP[gesture.pointerType] || DRAG_SLOP.mouse;
+      if (Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) < slop) return;
+      gesture.moved = true;
+      clearLongPress(gesture);
+    }
+
+    if (gesture.onPoint) handlersRef.current.onDrag?.(e);
+  };
+
+  const onPointerUp = (e) => {
+    activePointersRef.current.delete(e.pointerId);
+    const gesture = gestureRef.current;
+    if (!gesture || gesture.pointerId !== e.pointerId) return;
+
+    clearLongPress(gesture);
+    gestureRef.current = null;
+    if (gesture.cancelled) return;
+
+    if (gesture.onPoint) {
+      handlersRef.current.onRelease?.();
+    } else if (!gesture.moved) {
+      handlersRef.current.onTap?.(e);
+    }
+  };
+
+  const onPointerCancel = (e) => {
+    if (gestureRef.current?.pointerId === e.pointerId) {
+      cancelGesture();
+      gestureRef.current = null;
+    }
+    activePointersRef.current.delete(e.pointerId);
+  };
+
+  const onContextMenu = (e) => {
+    e.preventDefault();
+    // Touch and pen long-presses can also raise contextmenu; those are
+    // already handled by the long-press timer
+    if (lastPointerTypeRef.current === 'mouse' || lastSecondaryPressRef.current) {
+      handlersRef.current.onDelete?.(e);
+    }
+  };
+
+  return { onPointerDown, onPointerMove, onPointerUp, onPointerCancel, onContextMenu };
+}
@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react';
+import { isFaceDetectionSupported, pickFace, smoothFace } from '../faceTracking.js';
+import { getSourceSize, isSourceReady } from '../mediaSource.js';
+
+// Detection is far slower than rendering; a few times a second is plenty
+const DETECT_INTERVAL_MS = 150;
+// Keep the last face through brief misses (turning away, blinking light)
+const FACE_LOST_AFTER_MS = 1500;
+
+/**
+ * Follows the largest face in videoRef while enabled.
+ * Returns the smoothed face (see faceTracking.js) or null when none is in
+ * view, whether this browser can detect faces at all, and if not, why.
+ */
+export function useFaceTracking(videoRef, enabled) {
+  const [face, setFace] = useState(null);
+  // Set when FaceDetector exists but can't be created on this platform
+  const [detectorError, setDetectorError] = useState(null);
+  const hasApi = isFaceDetectionSupported();
+
+  useEffect(() => {
+    if (!enabled || !hasApi) return;
+
+    let detector = null;
+    let timer = null;
+    let cancelled = false;
+    let current = null;
+    let lastSeen = 0;
+    let warned = false;
+
+    const detect = async () => {
+      if (!detector) {
+        try {
+          detector = new window.FaceDetector({ fastMode: true, maxDetectedFaces: 4 });
+        } catch (err) {
+          // Some platforms expose the API but throw NotSupportedError here
+          console.warn('[useFaceTracking] Face detector unavailable:', err);
+          setDetectorError(err.message || err.name || 'face detector unavailable');
+          return;
+        }
+      }
+
+      const video = videoRef.current;
+      if (isSourceReady(video)) {
+        try {
+          const faces = await detector.detect(video);
+          if (cancelled) return;
+          const { width, height } = getSourceSize(video);
+          const found = pickFace(faces, width, height);
+          if (found) {
+            current = smoothFace(current, found);
+            lastSeen = performance.now();
+            setFace(current);
+          } else if (current && performance.now() - lastSeen > FACE_LOST_AFTER_MS) {
+            current = null;
+            setFace(null);
+          }
+        } catch (err) {
+          // Usually transient (a frame that can't be read yet); say so once
+          if (!warned) {
+            warned = true;
+            console.warn('[useFaceTracking] Face detection failed:', err);
+          }
+        }
+      }
+      if (!cancelled) timer = setTimeout(detect, DETECT_INTERVAL_MS);
+    };
+
+    timer = setTimeout(detect, 0);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [videoRef, enabled, hasApi]);
+
+  const unavailableReason = !hasApi
+    ? 'this browser has no built-in face detector'
+    : detectorError;
+
+  return {
+    face: enabled && !unavailableReason ? face : null,
+    supported: !unavailableReason,
+    unavailableReason
+  };
+}
@@ -0,0 +1,97 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { DEFAULT_ORBIT, clampOrbit } from '../orbitCamera.js';
+
+const DRAG_RADIANS_PER_PX = 0.005;
+const ZOOM_PER_WHEEL_DELTA = 0.001;
+const STRAFE_STEP = 0.1;
+
+const STRAFE_KEYS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, 1],
+  ArrowDown: [0, -1]
+};
+
+/**
+ * Orbit controls for the ray traced view: drag on the canvas to orbit,
+ * scroll to zoom, arrow keys to strafe.
+ * Returns the orbit (see orbitCamera.js), a reset function and pointer
+ * handlers to spread onto the element targetRef points at.
+ */
+export function useOrbitCamera(targetRef, enabled) {
+  const [orbit, setOrbit] = useState(DEFAULT_ORBIT);
+  const dragRef = useRef(null);
+
+  const updateOrbit = useCallback((change) => {
+    setOrbit(prev => clampOrbit({ ...prev, ...change(prev) }));
+  }, []);
+
+  const resetOrbit = useCallback(() => setOrbit(DEFAULT_ORBIT), []);
+
+  // React's onWheel is passive, so the page would scroll along with the zoom
+  useEffect(() => {
+    const el = targetRef.current;
+    if (!enabled || !el) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      updateOrbit(prev => ({ zoom: prev.zoom * Math.exp(e.deltaY * ZOOM_PER_WHEEL_DELTA) }));
+    };
+
+    el.addEventListener('wheel', handleWheel, { passive: false });
+    return () => el.removeEventListener('wheel', handleWheel);
+  }, [targetRef, enabled, updateOrbit]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      const step = STRAFE_KEYS[e.key];
+      if (!step || e.ctrlKey || e.metaKey || e.altKey) return;
+      // Sliders and selects use the arrow keys themselves
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      e.preventDefault();
+      updateOrbit(prev => ({
+        panX: prev.panX + step[0] * STRAFE_STEP,
+        panY: prev.panY + step[1] * STRAFE_STEP
+      }));
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled, updateOrbit]);
+
+  const onPointerDown = (e) => {
+    // Only drags that start on the mirror itself, not on overlaid buttons
+    if (!enabled || e.button !== 0 || e.target.tagName !== 'CANVAS') return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+  };
+
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || drag.pointerId !== e.pointerId) return;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+    updateOrbit(prev => ({
+      yaw: prev.yaw + dx * DRAG_RADIANS_PER_PX,
+      pitch: prev.pitch - dy * DRAG_RADIANS_PER_PX
+    }));
+  };
+
+  const onPointerUp = (e) => {
+    if (dragRef.current?.pointerId === e.pointerId) {
+      dragRef.current = null;
+    }
+  };
+
+  return {
+    orbit,
+    resetOrbit,
+    pointerHandlers: { onPointerDown, onPointerMove, onPointerUp, onPointerCancel: onPointerUp }
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Quadratic Bézier form of a HybridMirrorBezier profile, without the designer.
+ * The viewer uses this for the horizontal (X) profile, which is never
+ * exported through onCurveChange.
+ */
+
+import { splineToQuadraticBezier } from './splineToQuadraticBezier.js';
+
+// Mirror line of the hybrid designer canvas (800x600)
+export const HYBRID_BOUNDS = { x: 400, yTop: 50, yBottom: 550 };
+
+/**
+ * @param {Array} points - control points in designer canvas pixels, sorted by y
+ * @param {Object} bounds - { x, yTop, yBottom } of the mirror line
+ * @param {number} tolerance - spline fitting tolerance in pixels; larger means fewer segments
+ * @returns {Array} [{ start, cp, end }], empty for a straight line
+ */
+export function hybridQuadraticBeziers(points, bounds = HYBRID_BOUNDS, tolerance = 1.0) {
+  const { x, yTop, yBottom } = bounds;
+
+  if (points.length === 0) {
+    return [];
+  }
+
+  if (points.length === 1) {
+    // Control point placed so the curve passes through the point at t=0.5
+    const userPt = points[0];
+    return [{
+      start: { x, y: yTop },
+      cp: { x: 2 * userPt.x - x, y: 2 * userPt.y - 0.5 * (yTop + yBottom) },
+      end: { x, y: yBottom }
+    }];
+  }
+
+  return splineToQuadraticBezier([
+    { x, y: yTop },
+    ...points,
+    { x, y: yBottom }
+  ], tolerance);
+}
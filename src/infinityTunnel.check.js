@@ -0,0 +1,107 @@
+/**
+ * Sanity check for the ray traced infinity tunnel: with the default viewport
+ * settings, turning on a second bounce has to change the picture.
+ *
+ * Follows the fragment shader's bounce rules (see INFINITY TUNNEL in
+ * square_mirror_fragment_asym.glsl) with both mirrors flat, across the
+ * whole separation slider. Run with: npm run check:tunnel
+ */
+
+import {
+  DEFAULT_VIEWPORT_SETTINGS,
+  MIN_MIRROR_SEPARATION,
+  MAX_MIRROR_SEPARATION,
+  minMirrorSeparation
+} from './viewportSettings.js';
+
+// Must match TUNNEL_VIEWER_SIZE in the fragment shader
+const TUNNEL_VIEWER_SIZE = [0.15, 0.8];
+
+const WIDTH = 160;
+const HEIGHT = 120;
+
+// Where a ray meets the plane z = planeZ, or null
+function planeHit(pos, dir, planeZ) {
+  if (Math.abs(dir[2]) < 1e-6) return null;
+  const t = (planeZ - pos[2]) / dir[2];
+  if (t < 0.001) return null;
+  return { t, point: pos.map((p, i) => p + dir[i] * t) };
+}
+
+// Mirror hit within the mirror's rectangle, or null
+function mirrorHit(pos, dir, planeZ, settings) {
+  const hit = planeHit(pos, dir, planeZ);
+  if (!hit) return null;
+  const [x, y] = hit.point;
+  return Math.abs(x) <= settings.mirrorHalfWidth && Math.abs(y) <= settings.mirrorHalfHeight ? hit : null;
+}
+
+// Image plane hit as the share of the image away from its centre, or null
+function imageHit(pos, dir, settings) {
+  const hit = planeHit(pos, dir, -settings.imagePlaneDist);
+  if (!hit) return null;
+  return { t: hit.t, u: Math.abs(hit.point[0] / settings.imageSizeX), v: Math.abs(hit.point[1] / settings.imageSizeY) };
+}
+
+const inside = (img, size) => img.u <= size[0] / 2 && img.v <= size[1] / 2;
+
+// What one camera ray ends on: 'miss' (no mirror), 'image:<reflections>' or
+// 'none:<reflections>' when it leaves without meeting the image. Counts
+// back mirror hits in stats
+function traceRay(dir, settings, stats) {
+  const separation = Math.max(settings.mirrorSeparation, minMirrorSeparation(settings));
+  const frontZ = settings.mirrorDist;
+  const backZ = settings.mirrorDist - separation;
+
+  const first = mirrorHit([0, 0, 0], dir, frontZ, settings);
+  if (!first) return 'miss';
+
+  let pos = first.point;
+  dir = [dir[0], dir[1], -dir[2]];
+  for (let bounce = 1; ; bounce++) {
+    const img = imageHit(pos, dir, settings);
+    const meetsImage = img && inside(img, [1, 1]);
+    if (bounce >= settings.bounces) return meetsImage ? `image:${bounce}` : `none:${bounce}`;
+
+    const back = mirrorHit(pos, dir, backZ, settings);
+    const front = mirrorHit(pos, dir, frontZ, settings);
+    const next = back && (!front || back.t < front.t) ? back : front;
+    const blocked = meetsImage && (!next || img.t < next.t) && inside(img, TUNNEL_VIEWER_SIZE);
+    if (blocked || !next) return meetsImage ? `image:${bounce}` : `none:${bounce}`;
+
+    if (next === back) stats.backHits++;
+    pos = next.point;
+    dir = [dir[0], dir[1], -dir[2]];
+  }
+}
+
+function renderFrame(settings, stats) {
+  const fovScale = Math.tan(settings.fov * Math.PI / 360);
+  const aspect = WIDTH / HEIGHT;
+  const frame = [];
+  for (let py = 0; py < HEIGHT; py++) {
+    for (let px = 0; px < WIDTH; px++) {
+      const x = ((px + 0.5) / WIDTH * 2 - 1) * aspect * fovScale;
+      const y = ((py + 0.5) / HEIGHT * 2 - 1) * fovScale;
+      const len = Math.hypot(x, y, 1);
+      frame.push(traceRay([x / len, y / len, 1 / len], settings, stats));
+    }
+  }
+  return frame;
+}
+
+let failed = false;
+for (let separation = MIN_MIRROR_SEPARATION; separation <= MAX_MIRROR_SEPARATION; separation += 0.5) {
+  const single = renderFrame({ ...DEFAULT_VIEWPORT_SETTINGS, mirrorSeparation: separation }, { backHits: 0 });
+  const stats = { backHits: 0 };
+  const tunnel = renderFrame({ ...DEFAULT_VIEWPORT_SETTINGS, mirrorSeparation: separation, bounces: 2 }, stats);
+  const changed = tunnel.filter((result, i) => result !== single[i]).length;
+
+  console.log(`separation ${separation.toFixed(1)}: ${stats.backHits} back mirror hits, ${changed} pixels changed`);
+  if (stats.backHits === 0 || changed === 0) failed = true;
+}
+
+if (failed) {
+  throw new Error('Infinity tunnel: a second bounce leaves the default frame unchanged');
+}
+console.log('Infinity tunnel: OK');
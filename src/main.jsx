@@ -3,11 +3,15 @@ import { createRoot } from 'react-dom/client'
 // import './index.css'
 import App from './App.jsx'
 import { MirrorCurveProvider } from './contexts/MirrorCurveContext.jsx'
+import { decodeShareHash } from './shareLink.js'
+
+// Restore a design shared via link before anything renders
+const sharedState = decodeShareHash(window.location.hash)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <MirrorCurveProvider>
-      <App />
+    <MirrorCurveProvider initialDesign={sharedState}>
+      <App initialView={sharedState} />
     </MirrorCurveProvider>
   </StrictMode>,
 )
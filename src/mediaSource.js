@@ -0,0 +1,37 @@
+/**
+ * Helpers that let the viewports treat a <video> (webcam or file) and an
+ * <img> (still picture) as the same kind of frame source
+ */
+
+export const MEDIA_FILE_ACCEPT = 'image/png,image/jpeg,video/*';
+
+/**
+ * 'image' or 'video' for files the mirror can use, otherwise null
+ */
+export function classifyMediaFile(file) {
+  if (!file) return null;
+  if (file.type === 'image/png' || file.type === 'image/jpeg') return 'image';
+  if (file.type.startsWith('video/')) return 'video';
+  return null;
+}
+
+/**
+ * Pixel size of the current frame, { width: 0, height: 0 } until loaded
+ */
+export function getSourceSize(source) {
+  if (source instanceof HTMLImageElement) {
+    return { width: source.naturalWidth, height: source.naturalHeight };
+  }
+  return { width: source.videoWidth, height: source.videoHeight };
+}
+
+/**
+ * True once the source has a frame that can be drawn or uploaded
+ */
+export function isSourceReady(source) {
+  if (!source) return false;
+  if (source instanceof HTMLImageElement) {
+    return source.complete && source.naturalWidth > 0;
+  }
+  return source.readyState >= source.HAVE_CURRENT_DATA;
+}
@@ -0,0 +1,166 @@
+/**
+ * The .mirror.json file format
+ *
+ * {
+ *   "format": "mirroror.mirror",
+ *   "version": 1,
+ *   "designerType": "hybrid",              // key of DESIGNER_TYPES
+ *   "points": [{ "x": 280, "y": 300 }],    // designer canvas pixels (800x600)
+ *   "xPoints": [{ "x": 320, "y": 300 }],   // optional horizontal profile, hybrid
+ *                                          // designer pixels; absent = flat along X
+ *   "backPoints": [{ "x": 300, "y": 300 }],// optional profile of the infinity
+ *                                          // tunnel's back mirror; absent = flat
+ *   "middlePoint": { "x": 330, "y": 300 }, // optional middle point of the symmetric
+ *                                          // designer; absent = its default
+ *   "curve": {
+ *     "quadraticBeziers": [{ "start": {x,y}, "cp": {x,y}, "end": {x,y} }],
+ *     "bounds": { "x": 400, "yTop": 50, "yBottom": 550 }
+ *   },
+ *   "viewportSettings": { mirrorDist, mirrorHalfWidth, mirrorHalfHeight,
+ *                         imagePlaneDist, imageSizeX, imageSizeY, fov,
+ *                         bounces, mirrorSeparation }
+ * }
+ *
+ * The points are the source of truth and must lie on the designer canvas.
+ * curve is derived from them by the designer and is export-only: it is
+ * written so other tools can read the shape without a designer, and
+ * ignored on import.
+ */
+
+import { isDesignerType } from './designers.js';
+import { DEFAULT_VIEWPORT_SETTINGS, VIEWPORT_SETTING_RANGES } from './viewportSettings.js';
+
+export const MIRROR_FILE_FORMAT = 'mirroror.mirror';
+export const MIRROR_FILE_VERSION = 1;
+export const MIRROR_FILE_EXTENSION = '.mirror.json';
+
+/**
+ * Thrown when a file can't be read as a mirror design.
+ * The message is meant to be shown to the user as-is.
+ */
+export class MirrorFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MirrorFileError';
+  }
+}
+
+// Every designer draws on a canvas this size, in pixels
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function assertPoint(point, path) {
+  if (!point || typeof point !== 'object') {
+    throw new MirrorFileError(`${path} must be an object with x and y.`);
+  }
+  if (!isNumber(point.x) || !isNumber(point.y)) {
+    throw new MirrorFileError(`${path} must have numeric x and y.`);
+  }
+  if (point.x < 0 || point.x > CANVAS_WIDTH || point.y < 0 || point.y > CANVAS_HEIGHT) {
+    throw new MirrorFileError(`${path} must lie within the ${CANVAS_WIDTH}x${CANVAS_HEIGHT} designer canvas.`);
+  }
+}
+
+/**
+ * Build a mirror file object from the current design
+ * @param {Object} design - { designerType, points, xPoints, backPoints, middlePoint, curveData, viewportSettings }
+ * @returns {Object} Plain object ready for JSON.stringify
+ */
+export function createMirrorFile({ designerType, points, xPoints = [], backPoints = [], middlePoint = null, curveData, viewportSettings }) {
+  const file = {
+    format: MIRROR_FILE_FORMAT,
+    version: MIRROR_FILE_VERSION,
+    designerType,
+    points: points.map(p => ({ x: p.x, y: p.y })),
+    xPoints: xPoints.map(p => ({ x: p.x, y: p.y })),
+    backPoints: backPoints.map(p => ({ x: p.x, y: p.y })),
+    curve: {
+      quadraticBeziers: curveData?.quadraticBeziers || [],
+      bounds: curveData?.bounds || null
+    },
+    viewportSettings: { ...DEFAULT_VIEWPORT_SETTINGS, ...viewportSettings }
+  };
+  if (middlePoint) file.middlePoint = { x: middlePoint.x, y: middlePoint.y };
+  return file;
+}
+
+/**
+ * Parse and validate the text of a .mirror.json file
+ * @param {string} text - File contents
+ * @returns {Object} { designerType, points, xPoints, backPoints, middlePoint, viewportSettings }
+ * @throws {MirrorFileError} If the file is malformed or from a newer version
+ */
+export function parseMirrorFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new MirrorFileError('This file is not valid JSON.');
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== MIRROR_FILE_FORMAT) {
+    throw new MirrorFileError('This is not a MIRROROR mirror file.');
+  }
+
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new MirrorFileError('The mirror file has no valid version number.');
+  }
+  if (data.version > MIRROR_FILE_VERSION) {
+    throw new MirrorFileError(
+      `This mirror was saved by a newer version of MIRROROR (file version ${data.version}, ` +
+      `this app reads up to version ${MIRROR_FILE_VERSION}). Please update the app.`
+    );
+  }
+
+  if (!isDesignerType(data.designerType)) {
+    throw new MirrorFileError(`Unknown designer type "${data.designerType}".`);
+  }
+
+  if (!Array.isArray(data.points)) {
+    throw new MirrorFileError('The mirror file is missing its control points.');
+  }
+  data.points.forEach((p, i) => assertPoint(p, `points[${i}]`));
+
+  const xPoints = data.xPoints ?? [];
+  if (!Array.isArray(xPoints)) {
+    throw new MirrorFileError('xPoints must be a list.');
+  }
+  xPoints.forEach((p, i) => assertPoint(p, `xPoints[${i}]`));
+
+  const backPoints = data.backPoints ?? [];
+  if (!Array.isArray(backPoints)) {
+    throw new MirrorFileError('backPoints must be a list.');
+  }
+  backPoints.forEach((p, i) => assertPoint(p, `backPoints[${i}]`));
+
+  const middlePoint = data.middlePoint ?? null;
+  if (middlePoint !== null) assertPoint(middlePoint, 'middlePoint');
+
+  const viewportSettings = { ...DEFAULT_VIEWPORT_SETTINGS };
+  Object.keys(DEFAULT_VIEWPORT_SETTINGS).forEach(key => {
+    const value = data.viewportSettings?.[key];
+    if (value === undefined) return;
+    if (!isNumber(value)) {
+      throw new MirrorFileError(`viewportSettings.${key} must be a number.`);
+    }
+    const [min, max] = VIEWPORT_SETTING_RANGES[key];
+    if (value < min || value > max) {
+      throw new MirrorFileError(`viewportSettings.${key} must be between ${min} and ${max}.`);
+    }
+    if (key === 'bounces' && !Number.isInteger(value)) {
+      throw new MirrorFileError('viewportSettings.bounces must be a whole number.');
+    }
+    viewportSettings[key] = value;
+  });
+
+  return {
+    designerType: data.designerType,
+    points: data.points.map(p => ({ x: p.x, y: p.y })),
+    xPoints: xPoints.map(p => ({ x: p.x, y: p.y })),
+    backPoints: backPoints.map(p => ({ x: p.x, y: p.y })),
+    middlePoint: middlePoint && { x: middlePoint.x, y: middlePoint.y },
+    viewportSettings
+  };
+}
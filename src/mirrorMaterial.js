@@ -0,0 +1,71 @@
+/**
+ * Surface material of the ray traced mirror, remembered in localStorage
+ */
+
+const STORAGE_KEY = 'mirroror.material';
+
+export const DEFAULT_MIRROR_MATERIAL = {
+  tint: '#ffffff', // Colour the reflection picks up (silver = white)
+  reflectivity: 1.0, // Overall share of light reflected, 0–1
+  f0: 0.85, // Schlick Fresnel reflectance looking straight on, 0–1
+  roughness: 0.0, // 0 = sharp, 1 = very blurry (WebGL2 only)
+  dirt: 0.0, // Smudges and scratches, 0–1
+  edgeFade: 0.08 // Width of the darkened band along the mirror's edge, 0–0.5
+};
+
+export const MATERIAL_PRESETS = {
+  silver: { label: 'Clean Silver', material: DEFAULT_MIRROR_MATERIAL },
+  brass: {
+    label: 'Antique Brass',
+    material: { tint: '#d8b46a', reflectivity: 0.8, f0: 0.6, roughness: 0.15, dirt: 0.35, edgeFade: 0.2 }
+  },
+  foggy: {
+    label: 'Foggy Bathroom',
+    material: { tint: '#eef4f6', reflectivity: 0.9, f0: 0.8, roughness: 0.6, dirt: 0.5, edgeFade: 0.05 }
+  },
+  smoked: {
+    label: 'Smoked Glass',
+    material: { tint: '#8a8f99', reflectivity: 0.55, f0: 0.3, roughness: 0.0, dirt: 0.1, edgeFade: 0.1 }
+  }
+};
+
+const NUMBER_RANGES = {
+  reflectivity: [0, 1],
+  f0: [0, 1],
+  roughness: [0, 1],
+  dirt: [0, 1],
+  edgeFade: [0, 0.5]
+};
+
+const isHexColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+export function loadMirrorMaterial() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved) return DEFAULT_MIRROR_MATERIAL;
+    const material = { ...DEFAULT_MIRROR_MATERIAL };
+    if (isHexColor(saved.tint)) material.tint = saved.tint;
+    Object.entries(NUMBER_RANGES).forEach(([key, [min, max]]) => {
+      if (Number.isFinite(saved[key])) material[key] = Math.min(max, Math.max(min, saved[key]));
+    });
+    return material;
+  } catch {
+    return DEFAULT_MIRROR_MATERIAL;
+  }
+}
+
+export function saveMirrorMaterial(material) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(material));
+  } catch (err) {
+    console.warn('[mirrorMaterial] Could not remember material:', err);
+  }
+}
+
+/**
+ * '#rrggbb' to [r, g, b] in 0–1, for a vec3 uniform
+ */
+export function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+}
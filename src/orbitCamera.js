@@ -0,0 +1,71 @@
+/**
+ * Orbit camera for the ray traced scene. The camera circles a target at the
+ * mirror's centre; the default view is the original fixed camera at the
+ * origin looking straight at the mirror (+Z).
+ *
+ * Angles are radians: positive yaw turns the camera to look right (+X),
+ * positive pitch to look up (+Y). The shader applies the same rotation to
+ * its camera rays (see cameraToWorld in the fragment shader).
+ */
+
+export const DEFAULT_ORBIT = {
+  yaw: 0,
+  pitch: 0,
+  zoom: 1, // Orbit radius as a multiple of the mirror distance
+  panX: 0, // Strafe along the camera's right and up axes, world units
+  panY: 0
+};
+
+export const MAX_ORBIT_PITCH = 1.2;
+export const MAX_ORBIT_YAW = 1.4;
+export const MIN_ORBIT_ZOOM = 0.3;
+export const MAX_ORBIT_ZOOM = 3.0;
+
+// Closest the camera may come to the viewer's image plane; past it the
+// mirror would show the back of the plane, or nothing
+const IMAGE_PLANE_CLEARANCE = 0.1;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Keep an orbit inside the range that still looks at the front of the mirror
+ */
+export function clampOrbit(orbit) {
+  return {
+    ...orbit,
+    yaw: clamp(orbit.yaw, -MAX_ORBIT_YAW, MAX_ORBIT_YAW),
+    pitch: clamp(orbit.pitch, -MAX_ORBIT_PITCH, MAX_ORBIT_PITCH),
+    zoom: clamp(orbit.zoom, MIN_ORBIT_ZOOM, MAX_ORBIT_ZOOM)
+  };
+}
+
+export function isDefaultOrbit(orbit) {
+  return Object.keys(DEFAULT_ORBIT).every(key => orbit[key] === DEFAULT_ORBIT[key]);
+}
+
+/**
+ * Camera position for an orbit around the mirror at mirrorDist. Zooming out
+ * stops short of the image plane, imagePlaneDist behind the origin.
+ * @returns {{ position: number[], yaw: number, pitch: number }}
+ */
+export function orbitCameraPose(orbit, mirrorDist, imagePlaneDist) {
+  const { yaw, pitch, zoom, panX, panY } = orbit;
+  const cy = Math.cos(yaw);
+  const sy = Math.sin(yaw);
+  const cp = Math.cos(pitch);
+  const sp = Math.sin(pitch);
+
+  const forward = [sy * cp, sp, cy * cp];
+  const right = [cy, 0, -sy];
+  const up = [-sp * sy, cp, -sp * cy];
+  // Camera z is mirrorDist - forward z · radius + panOffsetZ; forward z is
+  // positive for every yaw and pitch clampOrbit allows
+  const panOffsetZ = right[2] * panX + up[2] * panY;
+  const maxRadius = (mirrorDist + imagePlaneDist - IMAGE_PLANE_CLEARANCE + panOffsetZ) / forward[2];
+  const radius = Math.min(mirrorDist * zoom, Math.max(0, maxRadius));
+
+  const position = [0, 1, 2].map(i =>
+    (i === 2 ? mirrorDist : 0) - forward[i] * radius + right[i] * panX + up[i] * panY
+  );
+  return { position, yaw, pitch };
+}
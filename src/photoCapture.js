@@ -0,0 +1,62 @@
+/**
+ * Grab the current frame of a mirror canvas (WebGL or 2D) as a PNG
+ */
+
+const FRAME_COLOR = '#ef4444';
+const TITLE_COLOR = '#fde047';
+
+/**
+ * Draw the carnival frame and MIRROROR title over a captured image
+ */
+function drawFrameOverlay(ctx, width, height) {
+  const border = Math.round(Math.min(width, height) * 0.04);
+  const banner = border * 3;
+
+  ctx.fillStyle = FRAME_COLOR;
+  ctx.fillRect(0, 0, width, border);
+  ctx.fillRect(0, 0, border, height);
+  ctx.fillRect(width - border, 0, border, height);
+  ctx.fillRect(0, height - banner, width, banner);
+
+  ctx.fillStyle = TITLE_COLOR;
+  ctx.font = `${Math.round(banner * 0.6)}px Circus, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.shadowColor = 'rgba(255, 200, 0, 0.8)';
+  ctx.shadowBlur = border;
+  ctx.fillText('MIRROROR', width / 2, height - banner / 2);
+  ctx.shadowBlur = 0;
+}
+
+/**
+ * @param {HTMLCanvasElement} source - The rendered mirror canvas
+ * @param {Object} options - { withOverlay }
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function captureFrame(source, { withOverlay = false } = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0);
+
+  if (withOverlay) {
+    // The title font is loaded lazily by CSS; make sure it is ready for canvas
+    try {
+      await document.fonts.load('48px Circus');
+    } catch (err) {
+      console.warn('[photoCapture] Circus font not available:', err);
+    }
+    drawFrameOverlay(ctx, canvas.width, canvas.height);
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Could not encode the frame as PNG'));
+      }
+    }, 'image/png');
+  });
+}
@@ -1,5 +1,5 @@
 // ============================================================================
-// CURVED MIRROR — Asymmetric Extruded Profile Fragment Shader
+// CURVED MIRROR — Asymmetric Extruded / Doubly Curved Fragment Shader
 // ============================================================================
 //
 // The mirror is a rectangle with a curved cross-section along the Y axis,
@@ -32,16 +32,96 @@
 // Segments span y ∈ [yMin, yMax] covering the full range [-halfH, +halfH].
 // Packed as vec4(a, b, c, yMin). yMax = next segment's yMin, or +halfH.
 //
+// SEGMENT LOOKUP:
+//   Segments live in a float texture (u_segmentTex), one RGBA texel each,
+//   so there can be hundreds. The ray starts at the camera, so it can only
+//   meet the mirror inside the depth slab mirrorDist + u_depthRange, and
+//   over that slab it covers a short span of y. A binary search over yMin
+//   finds the first segment in that span and only segments inside it are
+//   intersected.
+//
+// DOUBLY CURVED (separable) MODE — when u_numXSegments > 0:
+//   Surface: z(x,y) = f(x) + g(y), with f(x) = ax·x² + bx·x + cx per X segment
+//
+//   x(t) is linear in t just like y(t), so every (X segment, Y segment) patch
+//   is still a single quadratic in t. A paraboloid — the usual "spherical"
+//   funhouse bulge — is the same profile on both axes.
+//
 // SCENE LAYOUT:
-//   Camera at origin, looking +Z.
+//   Camera at u_cameraPos (origin by default), looking +Z.
 //   Mirror at z ≈ u_mirrorDist + profile.
-//   Image plane (webcam) at z = -u_imagePlaneDist.
+//   Image plane (webcam) at z = -u_imagePlaneDist, slid by u_imageOffset
+//   (face tracking uses it to put the visitor behind the mirror's bend).
+//
+// ROTATION:
+//   u_rotation turns the mirror clockwise (as seen from the camera) about
+//   the Z axis, so at 90°/270° the profile runs horizontally. The camera ray
+//   is rotated into the mirror's frame, where all of the math above holds,
+//   and hit points on the image and background planes are rotated back.
+//   Both planes are perpendicular to Z, so the ray parameters don't change.
+//
+// CAMERA:
+//   The camera can orbit the mirror (see orbitCamera.js). Its rays are
+//   turned by u_cameraPitch about X (positive looks up), then u_cameraYaw
+//   about Y (positive looks right). The segment lookup never assumed the
+//   camera was at the origin, only that rays start in front of the mirror.
+//
+// INFINITY TUNNEL — when u_bounces > 1:
+//   A second, singly curved mirror faces the first from behind the viewer,
+//   at z ≈ u_mirrorDist - u_mirrorSeparation + back profile (its profile
+//   bulges toward +Z, i.e. toward the first mirror), and always behind the
+//   viewer's image plane (see backMirrorZ). Each reflected ray goes on to
+//   whichever it meets first: the viewer, the back mirror or the front
+//   mirror, and bounces again, up to u_bounces reflections in total.
+//   While bounces remain, only the viewer's body (the middle
+//   TUNNEL_VIEWER_SIZE of the image) is in the way; the rest of the image
+//   is the room, seen past the mirrors' edges or when the bounces run out.
+//   The body is seen from both sides, so each round trip adds another,
+//   dimmer copy of the viewer down the corridor.
+//
+// MATERIAL:
+//   Each mirror hit passes on u_tint × u_reflectivity × Schlick Fresnel
+//   (F = F0 + (1 - F0)(1 - cosθ)^5), darkened in a u_edgeFade wide band
+//   along the mirror's edge. Dirt from u_dirtTex (smudges in red, scratches
+//   in green) scatters some light as haze instead of reflecting it. Rough
+//   mirrors blur the webcam image by biasing its mip level; WebGL1 can't
+//   mipmap a camera-sized texture, so there the bias does nothing.
+//
+// COMPATIBILITY:
+//   Written in GLSL ES 1.0 so the same source runs on WebGL2 and WebGL1:
+//   texture2D/gl_FragColor, loops bounded by constants (with early breaks),
+//   no built-in names reused as variables. Needs highp floats and a float
+//   segment texture (OES_texture_float on WebGL1), checked in webglSupport.js.
 //
 // ============================================================================
 
 precision highp float;
 
-#define MAX_SEGMENTS 16
+// Binary search steps: enough for 2^12 = 4096 segments per profile
+#define MAX_SEARCH_STEPS 12
+// Most segments a ray's span can overlap on one profile before some are skipped
+#define MAX_SCAN_SEGMENTS 64
+
+// Rows of u_segmentTex (texel centres of a 3-row texture)
+#define ROW_Y    0.16666667
+#define ROW_X    0.5
+#define ROW_BACK 0.83333333
+
+// Most reflections per pixel in infinity tunnel mode (MAX_BOUNCES in viewportSettings.js)
+#define MAX_BOUNCES 8
+// Light kept on each reflection after the first, so the corridor fades out
+#define BOUNCE_ATTENUATION 0.85
+// Share of the image (width, height) the viewer's body fills in the tunnel
+#define TUNNEL_VIEWER_SIZE vec2(0.15, 0.8)
+// Gap kept between the image plane and the back mirror (BACK_MIRROR_CLEARANCE
+// in viewportSettings.js)
+#define BACK_MIRROR_CLEARANCE 0.5
+
+// Mip level bias at roughness 1
+#define MAX_ROUGHNESS_LOD 6.0
+// Light scattered by smudges, and caught by scratches
+#define HAZE_COLOR    vec3(0.55, 0.55, 0.58)
+#define SCRATCH_COLOR vec3(0.35)
 
 // === DEBUG MODE ===
 // 0 = normal rendering
@@ -67,22 +147,59 @@ uniform float u_mirrorDist;
 uniform float u_mirrorHalfWidth;   // half-extent along X (flat axis)
 uniform float u_mirrorHalfHeight;  // half-extent along Y (profile axis)
 
-// Segment data: vec4(a, b, c, yMin) per segment.
-// Each segment defines z(y) = a·y² + b·y + c for y ∈ [yMin, yMax].
-// yMax of segment i = yMin of segment i+1.
-// yMax of last segment = +u_mirrorHalfHeight.
-// yMin of first segment should be -u_mirrorHalfHeight.
-uniform vec4  u_segments[MAX_SEGMENTS];
+// Segment data texture, 3 rows of RGBA float texels, sampled with NEAREST.
+// Row 0 (vertical profile): vec4(a, b, c, yMin) per segment.
+//   Each segment defines z(y) = a·y² + b·y + c for y ∈ [yMin, yMax].
+//   yMax of segment i = yMin of segment i+1.
+//   yMax of last segment = +u_mirrorHalfHeight.
+//   yMin of first segment should be -u_mirrorHalfHeight.
+// Row 1 (horizontal profile): vec4(a, b, c, xMin) per segment,
+//   f(x) = a·x² + b·x + c for x ∈ [xMin, xMax], laid out the same way
+//   across [-halfW, +halfW]. u_numXSegments == 0 keeps the mirror flat
+//   along X (extruded).
+// Row 2 (back mirror, vertical profile): like row 0, depth measured toward
+//   +Z from the back mirror's plane.
+uniform sampler2D u_segmentTex;
+uniform float u_segmentTexWidth;
 uniform int   u_numSegments;
+uniform int   u_numXSegments;
+uniform int   u_numBackSegments;
+
+// Lowest and highest profile depth (z relative to u_mirrorDist), summed over
+// both profiles in separable mode
+uniform vec2  u_depthRange;
+// Same for the back mirror's profile
+uniform vec2  u_backDepthRange;
+
+// Infinity tunnel: reflections per pixel (1 = single mirror) and the distance
+// between the two mirrors
+uniform int   u_bounces;
+uniform float u_mirrorSeparation;
 
 uniform float u_imagePlaneDist;
 uniform vec2  u_imageSize;
+uniform vec2  u_imageOffset;       // world units, see faceTracking.js
 
 uniform float u_fov;
+uniform float u_rotation;          // radians, clockwise about the view axis
+
+// Orbit camera (see CAMERA above)
+uniform vec3  u_cameraPos;
+uniform float u_cameraYaw;
+uniform float u_cameraPitch;
 
 // Background color when rays miss the mirror or scene
 uniform vec3  u_backgroundColor;
 
+// Mirror material (see MATERIAL above)
+uniform vec3  u_tint;
+uniform float u_reflectivity;
+uniform float u_f0;
+uniform float u_roughness;         // 0–1
+uniform float u_dirt;              // 0–1
+uniform float u_edgeFade;          // fraction of the half extent
+uniform sampler2D u_dirtTex;
+
 // Distance to background plane (behind camera and webcam feed)
 #define BACKGROUND_PLANE_DIST 5.0
 
@@ -121,11 +238,48 @@ vec3 getBackgroundColor(vec3 hitPoint) {
     return mixedColor;
 }
 
+// ============================================================================
+// SEGMENT LOOKUP
+// ============================================================================
+
+vec4 fetchSegment(float row, int i) {
+    return texture2D(u_segmentTex, vec2((float(i) + 0.5) / u_segmentTexWidth, row));
+}
+
+// Index of the last segment whose start (w) is <= value, or 0
+int findSegment(float row, int count, float value) {
+    int lo = 0;
+    int hi = count - 1;
+    for (int s = 0; s < MAX_SEARCH_STEPS; s++) {
+        if (lo >= hi) break;
+        int mid = (lo + hi + 1) / 2;
+        if (fetchSegment(row, mid).w <= value) {
+            lo = mid;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return lo;
+}
+
+// End of segment i: the next segment's start, or the profile's half extent
+float segmentEnd(float row, int i, int count, float halfExtent) {
+    return (i + 1 < count) ? fetchSegment(row, i + 1).w : halfExtent;
+}
+
+// Range a ray's component (origin o, direction d) covers while its depth
+// (origin oz, direction dz != 0) runs from zNear to zFar, slightly padded
+vec2 spanAlongRay(float o, float d, float oz, float dz, float zNear, float zFar) {
+    float a = o + d * (zNear - oz) / dz;
+    float b = o + d * (zFar - oz) / dz;
+    return vec2(min(a, b) - 1e-4, max(a, b) + 1e-4);
+}
+
 // ============================================================================
 // PER-SEGMENT INTERSECTION — Quadratic
 // ============================================================================
 //
-// Surface: z = a·y² + b·y + c + mirrorDist
+// Surface: z = a·y² + b·y + c + planeZ (planeZ = mirrorDist for the mirror)
 // Ray: P(t) = O + t·D, so y(t) = oy + t·dy, z(t) = oz + t·dz
 //
 // Setting equal:
@@ -145,12 +299,12 @@ bool g_usedFallbackRoot = false;
 
 float intersectSegment(
     float a, float b_coeff, float c_coeff,
-    float yMin, float yMax,
+    float yMin, float yMax, float planeZ,
     vec3 ro, vec3 rd
 ) {
     float qA = a * rd.y * rd.y;
     float qB = 2.0 * a * ro.y * rd.y + b_coeff * rd.y - rd.z;
-    float qC = a * ro.y * ro.y + b_coeff * ro.y + c_coeff + u_mirrorDist - ro.z;
+    float qC = a * ro.y * ro.y + b_coeff * ro.y + c_coeff + planeZ - ro.z;
 
     float t = -1.0;
 
@@ -224,6 +378,60 @@ float intersectSegment(
 }
 
 
+// ============================================================================
+// PER-PATCH INTERSECTION — Separable surface
+// ============================================================================
+//
+// Surface: z = f(x) + g(y) + mirrorDist on one X segment × one Y segment.
+// Both x(t) and y(t) are linear in t, so:
+//
+//   qA = ay·dy² + ax·dx²
+//   qB = 2ay·oy·dy + by·dy + 2ax·ox·dx + bx·dx - dz
+//   qC = ay·oy² + by·oy + cy + ax·ox² + bx·ox + cx + mirrorDist - oz
+//
+// Both roots are checked against the patch's x and y domains; nearest wins.
+
+bool inPatch(vec3 p, vec2 xRange, vec2 yRange) {
+    return p.x >= xRange.x && p.x <= xRange.y
+        && p.y >= yRange.x && p.y <= yRange.y;
+}
+
+float intersectPatch(
+    vec3 ySeg, vec2 yRange,   // (ay, by, cy), (yMin, yMax)
+    vec3 xSeg, vec2 xRange,   // (ax, bx, cx), (xMin, xMax)
+    vec3 ro, vec3 rd
+) {
+    float qA = ySeg.x * rd.y * rd.y + xSeg.x * rd.x * rd.x;
+    float qB = 2.0 * ySeg.x * ro.y * rd.y + ySeg.y * rd.y
+             + 2.0 * xSeg.x * ro.x * rd.x + xSeg.y * rd.x - rd.z;
+    float qC = ySeg.x * ro.y * ro.y + ySeg.y * ro.y + ySeg.z
+             + xSeg.x * ro.x * ro.x + xSeg.y * ro.x + xSeg.z
+             + u_mirrorDist - ro.z;
+
+    float t1;
+    float t2 = -1.0;
+    if (abs(qA) < 1e-10) {
+        // Linear: qB·t + qC = 0
+        if (abs(qB) < 1e-10) return -1.0;
+        t1 = -qC / qB;
+    } else {
+        float disc = qB * qB - 4.0 * qA * qC;
+        if (disc < 0.0) return -1.0;
+        float sq = sqrt(disc);
+        // Numerically stable roots: no cancellation when qA is small
+        float q = -0.5 * (qB + (qB >= 0.0 ? sq : -sq));
+        t1 = q / qA;
+        if (abs(q) > 1e-12) t2 = qC / q;
+    }
+
+    float tNear = min(t1, t2);
+    float tFar = max(t1, t2);
+    if (tNear > 0.001 && inPatch(ro + rd * tNear, xRange, yRange)) return tNear;
+    if (tFar > 0.001 && inPatch(ro + rd * tFar, xRange, yRange)) return tFar;
+    return -1.0;
+}
+
+
 // ============================================================================
 // SURFACE NORMAL
 // ============================================================================
@@ -255,11 +463,207 @@ vec3 computeNormal(float hitY, float a, float b_coeff) {
     return normalize(vec3(0.0, dzdy, -1.0));
 }
 
+// Separable surface: z(x,y) = f(x) + g(y) + mirrorDist
+//   dz/dx = 2ax·x + bx,  dz/dy = 2ay·y + by
+// Facing the camera → (dz/dx, dz/dy, -1)
+vec3 computeSeparableNormal(vec3 hitPos, float a, float b_coeff, float xA, float xB) {
+    float dzdx = 2.0 * xA * hitPos.x + xB;
+    float dzdy = 2.0 * a * hitPos.y + b_coeff;
+    return normalize(vec3(dzdx, dzdy, -1.0));
+}
+
+
+// ============================================================================
+// MIRROR TRACING
+// ============================================================================
+//
+// Only the segments inside the span a ray covers within a mirror's depth
+// slab are tested (see SEGMENT LOOKUP). Rays may start anywhere, e.g. on
+// the other mirror in infinity tunnel mode.
+
+// Nearest hit on the (front) mirror, or -1.0. coeffs gets the winning
+// segment's (a, b) and, in separable mode, the X segment's (a, b).
+float traceMirror(vec3 ro, vec3 rd, out vec4 coeffs) {
+    float bestT = 1e20;
+    bool  hit = false;
+    coeffs = vec4(0.0);
+    if (abs(rd.z) < 1e-6) return -1.0;
+
+    // Span of y (and x) the ray covers inside the mirror's depth slab
+    float zNear = u_mirrorDist + u_depthRange.x;
+    float zFar  = u_mirrorDist + u_depthRange.y;
+    vec2 ySpan = spanAlongRay(ro.y, rd.y, ro.z, rd.z, zNear, zFar);
+    int firstSeg = findSegment(ROW_Y, u_numSegments, ySpan.x);
+
+    if (u_numXSegments > 0) {
+        vec2 xSpan = spanAlongRay(ro.x, rd.x, ro.z, rd.z, zNear, zFar);
+        int firstXSeg = findSegment(ROW_X, u_numXSegments, xSpan.x);
+
+        for (int k = 0; k < MAX_SCAN_SEGMENTS; k++) {
+            int i = firstSeg + k;
+            if (i >= u_numSegments) break;
+
+            vec4 seg = fetchSegment(ROW_Y, i);
+            if (seg.w > ySpan.y) break;
+            float yMax = segmentEnd(ROW_Y, i, u_numSegments, u_mirrorHalfHeight);
+
+            for (int kx = 0; kx < MAX_SCAN_SEGMENTS; kx++) {
+                int j = firstXSeg + kx;
+                if (j >= u_numXSegments) break;
+
+                vec4 xSeg = fetchSegment(ROW_X, j);
+                if (xSeg.w > xSpan.y) break;
+                float xMax = segmentEnd(ROW_X, j, u_numXSegments, u_mirrorHalfWidth);
+
+                float t = intersectPatch(seg.xyz, vec2(seg.w, yMax),
+                                         xSeg.xyz, vec2(xSeg.w, xMax), ro, rd);
+                if (t > 0.0 && t < bestT) {
+                    bestT = t;
+                    hit = true;
+                    coeffs = vec4(seg.xy, xSeg.xy);
+                }
+            }
+        }
+    } else {
+        for (int k = 0; k < MAX_SCAN_SEGMENTS; k++) {
+            int i = firstSeg + k;
+            if (i >= u_numSegments) break;
+
+            vec4 seg = fetchSegment(ROW_Y, i);
+            float a       = seg.x;
+            float b_coeff = seg.y;
+            float c_coeff = seg.z;
+            float yMin    = seg.w;
+            // Past the ray's span: no later segment can be hit
+            if (yMin > ySpan.y) break;
+
+            // yMax: next segment's yMin, or +halfHeight for last segment
+            float yMax = segmentEnd(ROW_Y, i, u_numSegments, u_mirrorHalfHeight);
+
+            float t = intersectSegment(a, b_coeff, c_coeff,
+                                       yMin, yMax, u_mirrorDist, ro, rd);
+
+            if (t > 0.0 && t < bestT) {
+                vec3 p = ro + rd * t;
+                // Validate rectangular bounds (X is the flat axis)
+                if (abs(p.x) <= u_mirrorHalfWidth) {
+                    bestT = t;
+                    hit = true;
+                    coeffs = vec4(a, b_coeff, 0.0, 0.0);
+                }
+            }
+        }
+    }
+
+    return hit ? bestT : -1.0;
+}
+
+// The back mirror's plane: u_mirrorSeparation behind the front mirror, but
+// pushed back if its bulge would reach the image plane (and the camera,
+// which stays in front of it)
+float backMirrorZ() {
+    float nearestZ = -u_imagePlaneDist - BACK_MIRROR_CLEARANCE + u_backDepthRange.x;
+    return min(u_mirrorDist - u_mirrorSeparation, nearestZ);
+}
+
+// Nearest hit on the infinity tunnel's back mirror, or -1.0. Its surface is
+// z = backZ - g(y): the profile bulges toward +Z, so the coefficients are
+// negated. coeffs gets the surface's (a, b) as used by computeNormal.
+float traceBackMirror(vec3 ro, vec3 rd, out vec2 coeffs) {
+    float bestT = 1e20;
+    bool  hit = false;
+    coeffs = vec2(0.0);
+    if (abs(rd.z) < 1e-6) return -1.0;
+
+    float backZ = backMirrorZ();
+    float zNear = backZ - u_backDepthRange.y;
+    float zFar  = backZ - u_backDepthRange.x;
+    vec2 ySpan = spanAlongRay(ro.y, rd.y, ro.z, rd.z, zNear, zFar);
+    int firstSeg = findSegment(ROW_BACK, u_numBackSegments, ySpan.x);
+
+    for (int k = 0; k < MAX_SCAN_SEGMENTS; k++) {
+        int i = firstSeg + k;
+        if (i >= u_numBackSegments) break;
+
+        vec4 seg = fetchSegment(ROW_BACK, i);
+        if (seg.w > ySpan.y) break;
+        float yMax = segmentEnd(ROW_BACK, i, u_numBackSegments, u_mirrorHalfHeight);
+
+        float t = intersectSegment(-seg.x, -seg.y, -seg.z,
+                                   seg.w, yMax, backZ, ro, rd);
+        if (t > 0.0 && t < bestT && abs(ro.x + rd.x * t) <= u_mirrorHalfWidth) {
+            bestT = t;
+            hit = true;
+            coeffs = -seg.xy;
+        }
+    }
+
+    return hit ? bestT : -1.0;
+}
+
+// Where a ray crosses the viewer's image plane (from either side): the ray
+// parameter, or -1.0 if it never does; uv gets the webcam texture
+// coordinates there. toWorld undoes the mirror rotation (see ROTATION).
+float imagePlaneHit(vec3 ro, vec3 rd, mat2 toWorld, out vec2 uv) {
+    uv = vec2(0.0);
+    if (abs(rd.z) < 1e-6) return -1.0;
+    float t = (-u_imagePlaneDist - ro.z) / rd.z;
+    if (t < 0.001) return -1.0;
+
+    vec2 imgHit = toWorld * (ro.xy + rd.xy * t) - u_imageOffset;
+    uv = imgHit / u_imageSize + 0.5;
+    uv = 1.0 - uv;  // Mirror X, and flip Y to match webcam texture orientation
+    return t;
+}
+
+// Whether uv lies in the middle share (size) of the image
+bool insideImage(vec2 uv, vec2 size) {
+    vec2 d = abs(uv - 0.5);
+    return d.x <= size.x * 0.5 && d.y <= size.y * 0.5;
+}
+
+// How much light a mirror passes on at a hit (see MATERIAL)
+vec3 mirrorReflectance(vec3 hitPos, vec3 rd, vec3 N) {
+    float edgeX = abs(hitPos.x) / u_mirrorHalfWidth;
+    float edgeY = abs(hitPos.y) / u_mirrorHalfHeight;
+    float edgeFade = 1.0 - smoothstep(1.0 - max(u_edgeFade, 1e-3), 1.0, max(edgeX, edgeY));
+    float cosTheta = abs(dot(normalize(-rd), N));
+    float fresnel = u_f0 + (1.0 - u_f0) * pow(1.0 - cosTheta, 5.0);
+    return u_tint * (u_reflectivity * fresnel * edgeFade);
+}
+
+// Dirt at a hit: x = share of light scattered as haze, y = scratch glint
+vec2 mirrorDirt(vec3 hitPos) {
+    vec2 surfaceUV = hitPos.xy / (2.0 * vec2(u_mirrorHalfWidth, u_mirrorHalfHeight)) + 0.5;
+    vec4 dirt = texture2D(u_dirtTex, surfaceUV);
+    // A thin film everywhere, thicker in the smudges
+    float haze = clamp(u_dirt * (0.25 + 2.5 * dirt.r), 0.0, 0.9);
+    return vec2(haze, u_dirt * dirt.g);
+}
+
+// One mirror hit: the dirt adds its own light, and the reflection carries on
+// with whatever the dirt and the material let through
+void shadeMirrorHit(vec3 hitPos, vec3 rd, vec3 N, inout vec3 throughput, inout vec3 radiance) {
+    vec2 dirt = mirrorDirt(hitPos);
+    radiance += throughput * (dirt.x * HAZE_COLOR + dirt.y * SCRATCH_COLOR);
+    throughput *= (1.0 - dirt.x) * mirrorReflectance(hitPos, rd, N);
+}
+
 
 // ============================================================================
 // MAIN
 // ============================================================================
 
+// Camera-space direction to world space: pitch about X, then yaw about Y
+vec3 cameraToWorld(vec3 v) {
+    float cp = cos(u_cameraPitch);
+    float sp = sin(u_cameraPitch);
+    v = vec3(v.x, v.y * cp + v.z * sp, -v.y * sp + v.z * cp);
+    float cy = cos(u_cameraYaw);
+    float sy = sin(u_cameraYaw);
+    return vec3(v.x * cy + v.z * sy, v.y, -v.x * sy + v.z * cy);
+}
+
 void main() {
     vec2 uv = gl_FragCoord.xy / u_resolution;
     vec2 ndc = uv * 2.0 - 1.0;
@@ -269,45 +673,27 @@ void main() {
 
     // Camera ray
     float fovScale = tan(u_fov * 0.5);
-    vec3 ro = vec3(0.0);
-    vec3 rd = normalize(vec3(ndc * fovScale, 1.0));
-
-    // --- Test all segments, keep nearest hit ---
-    float bestT = 1e20;
-    int   bestSeg = -1;
-
-    for (int i = 0; i < MAX_SEGMENTS; i++) {
-        if (i >= u_numSegments) break;
-
-        vec4 seg = u_segments[i];
-        float a       = seg.x;
-        float b_coeff = seg.y;
-        float c_coeff = seg.z;
-        float yMin    = seg.w;
-
-        // yMax: next segment's yMin, or +halfHeight for last segment
-        float yMax;
-        if (i + 1 < u_numSegments) {
-            yMax = u_segments[i + 1].w;
-        } else {
-            yMax = u_mirrorHalfHeight;
-        }
-
-        float t = intersectSegment(a, b_coeff, c_coeff,
-                                   yMin, yMax, ro, rd);
-
-        if (t > 0.0 && t < bestT) {
-            vec3 p = ro + rd * t;
-            // Validate rectangular bounds (X is the flat axis)
-            if (abs(p.x) <= u_mirrorHalfWidth) {
-                bestT = t;
-                bestSeg = i;
-            }
-        }
-    }
+    vec3 ro = u_cameraPos;
+    vec3 rd = cameraToWorld(normalize(vec3(ndc * fovScale, 1.0)));
+
+    // Work in the mirror's frame (see ROTATION above)
+    float cosRot = cos(u_rotation);
+    float sinRot = sin(u_rotation);
+    mat2 toMirror = mat2(cosRot, sinRot, -sinRot, cosRot);
+    mat2 toWorld  = mat2(cosRot, -sinRot, sinRot, cosRot);
+    ro.xy = toMirror * ro.xy;
+    rd.xy = toMirror * rd.xy;
+
+    // --- Nearest hit on the mirror ---
+    bool  separable = u_numXSegments > 0;
+    // Profile coefficients of the winning segment (and X segment in separable mode)
+    vec4 coeffs;
+    float bestT = traceMirror(ro, rd, coeffs);
+    float segA = coeffs.x;
+    float segB = coeffs.y;
 
     // --- No hit ---
-    if (bestSeg < 0) {
+    if (bestT < 0.0) {
         gl_FragColor = vec4(u_backgroundColor, 1.0);
         return;
     }
@@ -366,26 +752,13 @@ void main() {
     #if DEBUG_MODE == 6
     // Test 6: Visualize qA magnitude to see where it's small
     // Need to recalculate it here
-    vec4 seg = u_segments[bestSeg];
-    float a = seg.x;
-    float qA_vis = a * rd.y * rd.y;
+    float qA_vis = segA * rd.y * rd.y;
     float qA_mag = abs(qA_vis) * 10000.0; // Scale for visibility
     qA_mag = clamp(qA_mag, 0.0, 1.0);
     gl_FragColor = vec4(1.0 - qA_mag, qA_mag, 0.0, 1.0); // Red=small, green=large
     return;
     #endif
 
-    // --- Retrieve winning segment coefficients ---
-    float segA = 0.0;
-    float segB = 0.0;
-    for (int i = 0; i < MAX_SEGMENTS; i++) {
-        if (i == bestSeg) {
-            segA = u_segments[i].x;
-            segB = u_segments[i].y;
-            break;
-        }
-    }
-
     #if DEBUG_MODE == 10
     // Test 10: Visualize b_coeff (should be 0 for symmetric curve)
     float bMag = abs(segB) * 1000.0; // Scale for visibility
@@ -401,7 +774,9 @@ void main() {
     #endif
 
     // --- Normal ---
-    vec3 N = computeNormal(hitPos.y, segA, segB);
+    vec3 N = separable
+        ? computeSeparableNormal(hitPos, segA, segB, coeffs.z, coeffs.w)
+        : computeNormal(hitPos.y, segA, segB);
 
     #if DEBUG_MODE == 5
     // Test 5: Visualize normal direction
@@ -424,10 +799,6 @@ void main() {
         return;
     }
 
-    // --- Intersect with image plane at z = -u_imagePlaneDist ---
-    float tImg = (-u_imagePlaneDist - hitPos.z) / reflDir.z;
-    vec3 imgHit = hitPos + reflDir * tImg;
-
     #if DEBUG_MODE == 7
     // Test 7: Visualize hit depth (z position)
     // Normalize z relative to mirror distance
@@ -437,48 +808,92 @@ void main() {
     return;
     #endif
 
-    vec2 imgUV = imgHit.xy / u_imageSize + 0.5;
-    imgUV.x = 1.0 - imgUV.x;
-    imgUV.y = 1.0 - imgUV.y;  // Flip Y to match webcam texture orientation
-
     #if DEBUG_MODE == 8
     // Test 8: Visualize image plane X coordinate
     // Show imgHit.x as color to see if there's a discontinuity
+    float tImg = (-u_imagePlaneDist - hitPos.z) / reflDir.z;
+    vec3 imgHit = hitPos + reflDir * tImg;
+    imgHit.xy = toWorld * imgHit.xy;
     float xNorm = (imgHit.x / u_imageSize.x) + 0.5;
     gl_FragColor = vec4(xNorm, 1.0 - xNorm, 0.5, 1.0);
     return;
     #endif
 
-    if (imgUV.x < 0.0 || imgUV.x > 1.0 || imgUV.y < 0.0 || imgUV.y > 1.0) {
-        // Ray missed the camera feed - check if it hits the background plane
-        // Background plane is at z = -u_imagePlaneDist - BACKGROUND_PLANE_DIST
-        float backPlaneZ = -u_imagePlaneDist - BACKGROUND_PLANE_DIST;
-        
-        // Calculate intersection with background plane
-        if (reflDir.z < 0.0) {
-            float tBack = (backPlaneZ - hitPos.z) / reflDir.z;
-            if (tBack > 0.0) {
-                vec3 backHit = hitPos + reflDir * tBack;
-                vec3 bgColor = getBackgroundColor(backHit);
-                gl_FragColor = vec4(bgColor, 1.0);
-                return;
-            }
+    // --- Follow the reflection (see INFINITY TUNNEL) ---
+    // throughput: light left after every mirror so far; radiance: light the
+    // mirrors' dirt added along the way
+    vec3 throughput = vec3(1.0);
+    vec3 radiance = vec3(0.0);
+    shadeMirrorHit(hitPos, rd, N, throughput, radiance);
+    vec3 pos = hitPos;
+    vec3 dir = reflDir;
+    vec2 imgUV = vec2(0.5);
+    bool seesImage = false;
+
+    for (int bounce = 1; bounce <= MAX_BOUNCES; bounce++) {
+        vec2 hitUV;
+        float tImage = imagePlaneHit(pos, dir, toWorld, hitUV);
+        bool meetsImage = tImage > 0.0 && insideImage(hitUV, vec2(1.0));
+        if (bounce >= u_bounces) {
+            seesImage = meetsImage;
+            if (meetsImage) imgUV = hitUV;
+            break;
         }
-        
-        // If we don't hit the background plane, return background color
-        gl_FragColor = vec4(u_backgroundColor, 1.0);
-        return;
-    }
 
-    vec4 texColor = texture2D(u_webcamTex, imgUV);
+        // Whichever mirror the ray meets first; it may come back to the one it left
+        vec2 backCoeffs;
+        vec4 frontCoeffs;
+        float tBack = traceBackMirror(pos, dir, backCoeffs);
+        float tFront = traceMirror(pos, dir, frontCoeffs);
+        bool hitsBack = tBack > 0.0 && (tFront < 0.0 || tBack < tFront);
+        float t = hitsBack ? tBack : tFront;
+
+        // The viewer's body is in the way, coming or going; past the mirrors
+        // the ray ends on the room
+        bool blocked = meetsImage && (t < 0.0 || tImage < t) && insideImage(hitUV, TUNNEL_VIEWER_SIZE);
+        if (blocked || t < 0.0) {
+            seesImage = meetsImage;
+            if (meetsImage) imgUV = hitUV;
+            break;
+        }
 
-    // Edge fade along rectangle boundary
-    float edgeX = abs(hitPos.x) / u_mirrorHalfWidth;
-    float edgeY = abs(hitPos.y) / u_mirrorHalfHeight;
-    float edgeFade = smoothstep(1.0, 0.92, max(edgeX, edgeY));
+        pos += dir * t;
+        vec3 n;
+        if (hitsBack) {
+            n = computeNormal(pos.y, backCoeffs.x, backCoeffs.y);
+        } else {
+            n = separable
+                ? computeSeparableNormal(pos, frontCoeffs.x, frontCoeffs.y, frontCoeffs.z, frontCoeffs.w)
+                : computeNormal(pos.y, frontCoeffs.x, frontCoeffs.y);
+        }
 
-    // Fresnel
-    float fresnel = 0.85 + 0.15 * pow(1.0 - abs(dot(normalize(-rd), N)), 2.0);
+        throughput *= BOUNCE_ATTENUATION;
+        shadeMirrorHit(pos, dir, n, throughput, radiance);
+        dir = reflect(dir, n);
+    }
+
+    // Sampled outside the branch so the mip level (roughness blur) comes
+    // from well-defined derivatives
+    vec3 texColor = texture2D(u_webcamTex, imgUV, u_roughness * MAX_ROUGHNESS_LOD).rgb;
+    if (seesImage) {
+        gl_FragColor = vec4(radiance + throughput * texColor, 1.0);
+        return;
+    }
+
+    // Ray missed the camera feed (and any further mirror) - heading away from
+    // the mirror it meets the background plane, a fallback wall at
+    // z = -u_imagePlaneDist - BACKGROUND_PLANE_DIST
+    if (dir.z < 0.0) {
+        float backPlaneZ = -u_imagePlaneDist - BACKGROUND_PLANE_DIST;
+        float tBack = (backPlaneZ - pos.z) / dir.z;
+        if (tBack > 0.0) {
+            vec3 backHit = pos + dir * tBack;
+            backHit.xy = toWorld * backHit.xy;
+            gl_FragColor = vec4(radiance + throughput * getBackgroundColor(backHit), 1.0);
+            return;
+        }
+    }
 
-    gl_FragColor = vec4(texColor.rgb * edgeFade * fresnel, 1.0);
+    // If we don't hit the background plane, return background color
+    gl_FragColor = vec4(radiance + throughput * u_backgroundColor, 1.0);
 }
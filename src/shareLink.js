@@ -0,0 +1,128 @@
+/**
+ * Encode a mirror design into a URL hash so it can be shared as a link.
+ *
+ * The hash is `#m=<base64url JSON>` where the JSON uses short keys:
+ *   v  - share format version
+ *   d  - designer type
+ *   p  - flat list of point coordinates [x0, y0, x1, y1, ...]
+ *   x  - same for the horizontal profile, omitted when flat along X
+ *   b  - same for the infinity tunnel's back mirror, omitted when flat
+ *   m  - [x, y] of the symmetric designer's middle point, omitted at its default
+ *   s  - viewport settings that differ from DEFAULT_VIEWPORT_SETTINGS
+ *   o  - 1 to open the webcam view straight away (App's isDone)
+ *   c  - 1 for classic mode instead of ray tracing
+ *   r  - mirror rotation in degrees
+ */
+
+import { isDesignerType, DEFAULT_DESIGNER_TYPE } from './designers.js';
+import { DEFAULT_VIEWPORT_SETTINGS, isViewportSettingValid } from './viewportSettings.js';
+
+const SHARE_VERSION = 1;
+const HASH_KEY = 'm';
+
+// Full precision: JSON writes the shortest text that reads back as the same
+// number, so a shared link reproduces the exact curve
+const flattenPoints = (points) => points.flatMap(pt => [pt.x, pt.y]);
+
+// [x0, y0, x1, y1, ...] back to points, or null if any coordinate is bad
+function unflattenPoints(flat) {
+  const points = [];
+  for (let i = 0; i + 1 < flat.length; i += 2) {
+    const x = Number(flat[i]);
+    const y = Number(flat[i + 1]);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+    points.push({ x, y });
+  }
+  return points;
+}
+
+function toBase64Url(text) {
+  return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const padded = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  return atob(padded + '='.repeat((4 - padded.length % 4) % 4));
+}
+
+/**
+ * @param {Object} state - { designerType, points, xPoints, backPoints, middlePoint, viewportSettings, isDone, useRayTracing, rotation }
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeShareHash({ designerType, points, xPoints = [], backPoints = [], middlePoint = null, viewportSettings, isDone, useRayTracing, rotation }) {
+  const payload = {
+    v: SHARE_VERSION,
+    d: designerType,
+    p: flattenPoints(points)
+  };
+  if (xPoints.length > 0) payload.x = flattenPoints(xPoints);
+  if (backPoints.length > 0) payload.b = flattenPoints(backPoints);
+  if (middlePoint) payload.m = flattenPoints([middlePoint]);
+
+  const changed = {};
+  Object.keys(DEFAULT_VIEWPORT_SETTINGS).forEach(key => {
+    const value = viewportSettings?.[key];
+    if (Number.isFinite(value) && value !== DEFAULT_VIEWPORT_SETTINGS[key]) {
+      changed[key] = value;
+    }
+  });
+  if (Object.keys(changed).length > 0) payload.s = changed;
+
+  if (isDone) payload.o = 1;
+  if (useRayTracing === false) payload.c = 1;
+  if (rotation) payload.r = rotation;
+
+  return `#${HASH_KEY}=${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * @param {string} hash - location.hash
+ * @returns {Object|null} Decoded state, or null if the hash holds no valid design
+ */
+export function decodeShareHash(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const encoded = params.get(HASH_KEY);
+  if (!encoded) return null;
+
+  try {
+    const payload = JSON.parse(fromBase64Url(encoded));
+    if (payload.v !== SHARE_VERSION || !Array.isArray(payload.p)) return null;
+
+    const points = unflattenPoints(payload.p);
+    const xPoints = Array.isArray(payload.x) ? unflattenPoints(payload.x) : [];
+    const backPoints = Array.isArray(payload.b) ? unflattenPoints(payload.b) : [];
+    const middlePoints = Array.isArray(payload.m) ? unflattenPoints(payload.m) : [];
+    if (!points || !xPoints || !backPoints || !middlePoints) return null;
+
+    // Out of range values (a crafted or truncated link) keep their defaults
+    const viewportSettings = { ...DEFAULT_VIEWPORT_SETTINGS };
+    Object.keys(DEFAULT_VIEWPORT_SETTINGS).forEach(key => {
+      const value = payload.s?.[key];
+      if (isViewportSettingValid(key, value)) viewportSettings[key] = value;
+    });
+
+    return {
+      designerType: isDesignerType(payload.d) ? payload.d : DEFAULT_DESIGNER_TYPE,
+      points,
+      xPoints,
+      backPoints,
+      middlePoint: middlePoints[0] || null,
+      viewportSettings,
+      isDone: payload.o === 1,
+      useRayTracing: payload.c !== 1,
+      rotation: [0, 90, 180, 270].includes(payload.r) ? payload.r : 0
+    };
+  } catch (err) {
+    console.warn('[shareLink] Ignoring malformed share hash:', err);
+    return null;
+  }
+}
+
+/**
+ * Full URL for the current page with the design in its hash
+ */
+export function buildShareUrl(state) {
+  const url = new URL(window.location.href);
+  url.hash = encodeShareHash(state);
+  return url.toString();
+}
@@ -0,0 +1,66 @@
+/**
+ * Record a mirror canvas (WebGL or 2D) to WebM with MediaRecorder
+ */
+
+const MIME_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm'
+];
+
+const CAPTURE_FPS = 30;
+
+/**
+ * True if this browser can record a canvas to WebM
+ */
+export function isRecordingSupported() {
+  return typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement !== 'undefined' &&
+    'captureStream' in HTMLCanvasElement.prototype &&
+    MIME_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+/**
+ * Start recording a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas to capture
+ * @param {Function} onStop - Called with the recorded WebM Blob
+ * @returns {Function} Call to stop recording
+ * @throws If the canvas can't be captured or recorded (e.g. a lost WebGL
+ *   context, an unsupported format, a SecurityError)
+ */
+export function startCanvasRecording(canvas, onStop) {
+  const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  let stream = null;
+  let recorder;
+  try {
+    stream = canvas.captureStream(CAPTURE_FPS);
+    recorder = new MediaRecorder(stream, { mimeType });
+  } catch (err) {
+    stream?.getTracks().forEach(track => track.stop());
+    throw err;
+  }
+  const chunks = [];
+
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  recorder.onstop = () => {
+    stream.getTracks().forEach(track => track.stop());
+    onStop(new Blob(chunks, { type: 'video/webm' }));
+  };
+
+  // Collect data every second instead of holding one large buffer until stop
+  try {
+    recorder.start(1000);
+  } catch (err) {
+    recorder.onstop = null;
+    stream.getTracks().forEach(track => track.stop());
+    throw err;
+  }
+
+  return () => {
+    if (recorder.state !== 'inactive') {
+      recorder.stop();
+    }
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * Physical parameters of the ray-traced scene (see RayTracedMirror).
+ * Distances are in the shader's world units.
+ */
+export const DEFAULT_VIEWPORT_SETTINGS = {
+  mirrorDist: 3.5,
+  mirrorHalfWidth: 2.0,
+  mirrorHalfHeight: 2.0,
+  imagePlaneDist: 1.0,
+  imageSizeX: 8,
+  imageSizeY: 6,
+  fov: 60.0,
+  // Infinity tunnel: mirror reflections traced per pixel. 1 is the single
+  // mirror; more adds a second mirror facing the first, mirrorSeparation
+  // behind it (on the far side of the viewer)
+  bounces: 1,
+  mirrorSeparation: 6.0
+};
+
+// Range reachable with the W/S keys in MirrorViewport
+export const MIN_MIRROR_DIST = 0.5;
+export const MAX_MIRROR_DIST = 10.0;
+
+// Must match MAX_BOUNCES in the fragment shader
+export const MAX_BOUNCES = 8;
+
+// Slider range. Closer settings still draw: the shader pushes the back
+// mirror back to minMirrorSeparation (plus its profile's bulge)
+export const MIN_MIRROR_SEPARATION = 2.0;
+export const MAX_MIRROR_SEPARATION = 20.0;
+
+// Gap kept between the viewer's image plane and the back mirror
+// (BACK_MIRROR_CLEARANCE in the fragment shader)
+export const BACK_MIRROR_CLEARANCE = 0.5;
+
+/**
+ * Smallest separation that keeps a flat back mirror behind the viewer's
+ * image plane, and so behind the camera
+ */
+export function minMirrorSeparation({ mirrorDist, imagePlaneDist }) {
+  return mirrorDist + imagePlaneDist + BACK_MIRROR_CLEARANCE;
+}
+
+// [min, max] each setting must fall in for the ray tracer to draw anything
+// sensible; used to validate settings read from outside (mirror files)
+export const VIEWPORT_SETTING_RANGES = {
+  mirrorDist: [MIN_MIRROR_DIST, MAX_MIRROR_DIST],
+  mirrorHalfWidth: [0.1, 10.0],
+  mirrorHalfHeight: [0.1, 10.0],
+  imagePlaneDist: [0.1, 20.0],
+  imageSizeX: [0.1, 100.0],
+  imageSizeY: [0.1, 100.0],
+  fov: [1.0, 179.0],
+  bounces: [1, MAX_BOUNCES],
+  mirrorSeparation: [MIN_MIRROR_SEPARATION, MAX_MIRROR_SEPARATION]
+};
+
+/**
+ * Whether value is usable for the given setting: a number in its range,
+ * and a whole number for bounces
+ */
+export function isViewportSettingValid(key, value) {
+  const [min, max] = VIEWPORT_SETTING_RANGES[key];
+  return Number.isFinite(value) && value >= min && value <= max &&
+    (key !== 'bounces' || Number.isInteger(value));
+}
@@ -0,0 +1,37 @@
+/**
+ * WebGL context for the ray traced mirror: WebGL2 where available, otherwise
+ * WebGL1 with the extensions the shader needs
+ */
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} attributes - context creation attributes
+ * @returns {{ gl: WebGLRenderingContext|WebGL2RenderingContext, isWebGL2: boolean } | { gl: null, reason: string }}
+ */
+export function createMirrorContext(canvas, attributes) {
+  const gl2 = canvas.getContext('webgl2', attributes);
+  if (gl2) {
+    // Sampling float textures (NEAREST) is core in WebGL2
+    return { gl: gl2, isWebGL2: true };
+  }
+
+  console.warn('[webglSupport] WebGL2 not supported, trying WebGL1');
+  const gl1 = canvas.getContext('webgl', attributes) || canvas.getContext('experimental-webgl', attributes);
+  if (!gl1) {
+    return { gl: null, reason: 'WebGL is not supported by this browser or device' };
+  }
+
+  // The segment data texture holds 32-bit floats
+  if (!gl1.getExtension('OES_texture_float')) {
+    return { gl: null, reason: 'this device cannot use floating point textures (OES_texture_float)' };
+  }
+
+  // The intersection maths falls apart at mediump; some older mobile GPUs
+  // don't offer highp in fragment shaders at all
+  const highp = gl1.getShaderPrecisionFormat(gl1.FRAGMENT_SHADER, gl1.HIGH_FLOAT);
+  if (!highp || highp.precision === 0) {
+    return { gl: null, reason: 'this device has no high precision fragment shaders' };
+  }
+
+  return { gl: gl1, isWebGL2: false };
+}